@@ -1,11 +1,19 @@
 require('dotenv').config();
 const express = require('express');
 const multer = require('multer');
-const fs = require('fs').promises;
 const path = require('path');
+const fs = require('fs').promises;
 const cors = require('cors');
 const { v4: uuidv4 } = require('uuid');
-const { useFreeTrial, useCredits } = require('./services/auth/generationService');
+const { prepareTryOnJob, runTryOn, recoverStaleJobs, mapWithConcurrency, cleanupFiles } = require('./services/tryOnService');
+const { apiConfig, batchConfig, outfitSteps, outfitConfig, variantConfig } = require('./services/apiConfig');
+const { checkUploadsQuality, qualityErrorResponse } = require('./services/imageQuality');
+const { verifyImageFile } = require('./services/fileSniffer');
+const { isValidStyle, getStyles, DEFAULT_STYLE } = require('./services/promptTemplates');
+const { validateGarmentMetadata } = require('./services/garmentMetadata');
+const { loadProviderState } = require('./services/providerState');
+const tryOnQueue = require('./services/tryOnQueue');
+const { tryOnEvents, STAGES } = require('./services/tryOnEvents');
 
 
 // Yeni API Manager sistemi
@@ -17,8 +25,14 @@ const { supabaseAdmin } = require('./config/supabase');
 // ========================================
 const authRoutes = require('./services/auth/authRoutes');
 const userRoutes = require('./routes/userRoutes'); 
+const jobRoutes = require('./routes/jobRoutes');
+const resultRoutes = require('./routes/resultRoutes');
+const experimentRoutes = require('./routes/experimentRoutes');
+const promptRoutes = require('./routes/promptRoutes');
+const providerRoutes = require('./routes/providerRoutes');
 const paymentRoutes = require('./services/payment/paymentRoutes');
 const webhookHandler = require('./services/payment/webhookHandler');
+const replicateWebhookRoutes = require('./routes/replicateWebhook');
 
 
 const app = express();
@@ -37,7 +51,7 @@ app.use(cors({
         'https://www.dressai.app',
         'https://dressai.app' 
     ],
-    methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization'],
     credentials: true
 }));
@@ -46,6 +60,9 @@ app.use(cors({
 // 🔔 WEBHOOK ROUTES (MUST BE BEFORE express.json()!)
 // ========================================
 
+// Replicate prediction webhook'u (webhook modu)
+app.use('/api/webhooks/replicate', replicateWebhookRoutes);
+
 // ✅ NEW: Polar webhook
 app.use('/api/webhooks', webhookHandler);
 
@@ -53,7 +70,14 @@ app.use('/api/webhooks', webhookHandler);
 // JSON MIDDLEWARE (after webhook routes)
 // ========================================
 app.use(express.json());
-app.use('/results', express.static(path.join(__dirname, 'public', 'results')));
+
+// Sonuç görselleri sadece imzalı, süresi dolan URL'lerle sunulur
+app.use('/results', resultRoutes);
+
+// Mock provider çıktıları (sadece mock provider açıkken)
+if (apiConfig.mock.enabled) {
+    app.use('/mock-results', express.static(path.join(__dirname, 'public', 'mock-results')));
+}
 
 // CORS middleware
 app.use((req, res, next) => {
@@ -84,6 +108,8 @@ const storage = multer.diskStorage({
     }
 });
 
+// fileFilter sadece client'ın bildirdiği mimetype'a bakar (hızlı ön eleme);
+// asıl doğrulama upload sonrası verifyUploads ile byte'lar üzerinden yapılır
 const upload = multer({
     storage: storage,
     fileFilter: (req, file, cb) => {
@@ -97,22 +123,35 @@ const upload = multer({
     limits: { fileSize: 10 * 1024 * 1024 }
 });
 
-// URL'den görsel indirme
-const downloadImageFromUrl = async (imageUrl, outputPath) => {
+/**
+ * Upload edilen dosyaları magic byte'larından doğrula
+ * Görsel olmayan dosyalar ve polyglot'lar 415 ile reddedilir; tespit edilen tür dosyaya yazılır
+ */
+const verifyUploads = async (req, res, next) => {
+    const files = Object.values(req.files || {}).flat();
+
     try {
-        const response = await fetch(imageUrl);
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        for (const file of files) {
+            const verification = await verifyImageFile(file.path);
+
+            if (!verification.valid) {
+                await cleanupFiles(...files);
+                return res.status(415).json({
+                    success: false,
+                    error: verification.error,
+                    code: verification.code,
+                    field: file.fieldname
+                });
+            }
+
+            file.mimetype = verification.type.mime;
+            file.detectedType = verification.type;
         }
-        
-        const arrayBuffer = await response.arrayBuffer();
-        const buffer = Buffer.from(arrayBuffer);
-        await fs.writeFile(outputPath, buffer);
-        
-        console.log(`✅ Image downloaded: ${outputPath}`);
-        return outputPath;
+
+        next();
     } catch (error) {
-        throw new Error(`Image download error: ${error.message}`);
+        await cleanupFiles(...files);
+        next(error);
     }
 };
 
@@ -122,6 +161,59 @@ const validateCategory = (category) => {
     return validCategories.includes(category);
 };
 
+// Kullanıcı ve free trial / credit ön kontrolü (try-on endpoint'leri için)
+// Asıl düşüm reserveCredits ile atomik yapılır; bu kontrol erken ret içindir
+const checkTryOnUser = async (userId) => {
+    if (!userId) {
+        return {
+            error: {
+                status: 401,
+                body: { success: false, error: 'User ID is required', code: 'AUTH_REQUIRED' }
+            }
+        };
+    }
+
+    // User bilgilerini al
+    const { data: user } = await supabaseAdmin
+        .from('users')
+        .select('id, credits, free_trials_used, free_trials_limit, segment')
+        .eq('id', userId)
+        .single();
+
+    if (!user) {
+        return {
+            error: {
+                status: 404,
+                body: { success: false, error: 'User not found', code: 'USER_NOT_FOUND' }
+            }
+        };
+    }
+
+    // Credits veya free trial kontrolü
+    const hasFreeTrial = user.free_trials_used < user.free_trials_limit;
+    const hasCredits = user.credits > 0;
+
+    if (!hasFreeTrial && !hasCredits) {
+        return {
+            error: {
+                status: 403,
+                body: {
+                    success: false,
+                    error: 'No free trials or credits remaining',
+                    code: 'NO_CREDITS',
+                    user: {
+                        credits: user.credits,
+                        free_trials_used: user.free_trials_used,
+                        free_trials_limit: user.free_trials_limit
+                    }
+                }
+            }
+        };
+    }
+
+    return { user };
+};
+
 // Klasör oluşturma
 const createDirectories = async () => {
     const dirs = ['uploads', 'public', 'public/results'];
@@ -141,56 +233,21 @@ const createDirectories = async () => {
 app.post('/api/process-image', upload.fields([
     { name: 'userImage', maxCount: 1 },
     { name: 'clothingImage', maxCount: 1 }
-]), async (req, res) => {
+]), verifyUploads, async (req, res) => {
     console.log('📥 New Virtual Try-On request received');
     
-    const startTime = Date.now();
-    
     try {
         // ==========================================
         // 1. USER AUTHENTICATION CHECK
         // ==========================================
         const userId = req.body.userId;
-        
-        if (!userId) {
-            return res.status(401).json({
-                success: false,
-                error: 'User ID is required',
-                code: 'AUTH_REQUIRED'
-            });
-        }
+        const userCheck = await checkTryOnUser(userId);
 
-        // User bilgilerini al
-        const { data: user } = await supabaseAdmin
-            .from('users')
-            .select('id, credits, free_trials_used, free_trials_limit, segment')
-            .eq('id', userId)
-            .single();
-
-        if (!user) {
-            return res.status(404).json({
-                success: false,
-                error: 'User not found',
-                code: 'USER_NOT_FOUND'
-            });
+        if (userCheck.error) {
+            return res.status(userCheck.error.status).json(userCheck.error.body);
         }
 
-        // Credits veya free trial kontrolü
-        const hasFreeTrial = user.free_trials_used < user.free_trials_limit;
-        const hasCredits = user.credits > 0;
-
-        if (!hasFreeTrial && !hasCredits) {
-            return res.status(403).json({
-                success: false,
-                error: 'No free trials or credits remaining',
-                code: 'NO_CREDITS',
-                user: {
-                    credits: user.credits,
-                    free_trials_used: user.free_trials_used,
-                    free_trials_limit: user.free_trials_limit
-                }
-            });
-        }
+        const { user } = userCheck;
 
         console.log(`👤 User: ${userId.slice(0, 8)}... (${user.segment})`);
         console.log(`💳 Credits: ${user.credits} | Free Trials: ${user.free_trials_used}/${user.free_trials_limit}`);
@@ -216,160 +273,534 @@ app.post('/api/process-image', upload.fields([
         const selectedApi = req.body.api;
         const userImageFile = req.files.userImage[0];
         const clothingImageFile = req.files.clothingImage[0];
+
+        const style = req.body.style || DEFAULT_STYLE;
+        if (!isValidStyle(style)) {
+            await cleanupFiles(userImageFile, clothingImageFile);
+            return res.status(400).json({
+                success: false,
+                error: `Invalid style: ${style}. Must be one of: ${getStyles().join(', ')}`,
+                code: 'INVALID_STYLE'
+            });
+        }
+
+        // Model parametreleri multipart'ta JSON string olarak gelir (şema kontrolü prepareTryOnJob'da)
+        let params;
+        if (req.body.params) {
+            try {
+                params = JSON.parse(req.body.params);
+            } catch {
+                await cleanupFiles(userImageFile, clothingImageFile);
+                return res.status(400).json({
+                    success: false,
+                    error: 'params must be a JSON object',
+                    code: 'INVALID_PARAMS'
+                });
+            }
+        }
+
+        // Kıyafet metadata'sı (type, color, material, fit, description) JSON string olarak gelir
+        let garmentMetadata = null;
+        if (req.body.garment) {
+            let garmentCheck;
+            try {
+                garmentCheck = validateGarmentMetadata(JSON.parse(req.body.garment));
+            } catch {
+                garmentCheck = { success: false, error: 'garment must be a JSON object', code: 'INVALID_GARMENT' };
+            }
+
+            if (!garmentCheck.success) {
+                await cleanupFiles(userImageFile, clothingImageFile);
+                return res.status(400).json(garmentCheck);
+            }
+            garmentMetadata = garmentCheck.garment;
+        }
+
+        // Aday sayısı: her variant ayrı ücretlendirilir
+        const variants = req.body.variants === undefined ? 1 : Number(req.body.variants);
+        if (!Number.isInteger(variants) || variants < 1 || variants > variantConfig.maxVariants) {
+            await cleanupFiles(userImageFile, clothingImageFile);
+            return res.status(400).json({
+                success: false,
+                error: `variants must be an integer between 1 and ${variantConfig.maxVariants}`,
+                code: 'INVALID_VARIANTS'
+            });
+        }
         
         console.log(`✅ Files received:`);
         console.log(`   👤 ${userImageFile.filename} (${(userImageFile.size/1024/1024).toFixed(2)} MB)`);
         console.log(`   👕 ${clothingImageFile.filename} (${(clothingImageFile.size/1024/1024).toFixed(2)} MB)`);
         console.log(`   📂 Category: ${category}`);
+        if (style !== DEFAULT_STYLE) console.log(`   🎨 Style: ${style}`);
         if (selectedApi) console.log(`   🎯 Requested API: ${selectedApi}`);
+        if (params) console.log(`   🎛️ Params: ${JSON.stringify(params)}`);
+        if (variants > 1) console.log(`   🎲 Variants: ${variants}`);
+        if (garmentMetadata) console.log(`   🏷️ Garment: ${JSON.stringify(garmentMetadata)}`);
 
         // ==========================================
-        // 3. AI PROCESSING
+        // 3. PRE-FLIGHT QUALITY CHECK (credit rezerve edilmeden önce)
         // ==========================================
-        let apiResult;
-        
-        if (selectedApi) {
-            apiResult = await apiManager.processWithSpecificApi(
-                selectedApi,
-                userImageFile.path,
-                clothingImageFile.path,
-                category
-            );
-            apiResult = {
-                success: true,
-                usedApi: selectedApi,
-                result: apiResult
-            };
-        } else {
-            apiResult = await apiManager.autoProcess(
-                userImageFile.path,
-                clothingImageFile.path,
-                category
-            );
+        const quality = await checkUploadsQuality([
+            { file: userImageFile, role: 'userImage', category },
+            { file: clothingImageFile, role: 'clothingImage', category }
+        ]);
+
+        if (!quality.passed) {
+            await cleanupFiles(userImageFile, clothingImageFile);
+            return res.status(422).json(qualityErrorResponse(quality));
         }
 
-        const resultUrl = apiResult.result;
-        const processingTime = Math.floor((Date.now() - startTime) / 1000);
-        
-        console.log(`🎉 Processing completed with ${apiResult.usedApi}!`);
-        console.log(`⏱️ Processing time: ${processingTime}s`);
-        
         // ==========================================
-        // 4. SAVE RESULT LOCALLY
+        // 4. GENERATION KAYDI (queued / processing)
         // ==========================================
-        const resultFileName = `ai-result-${category}-${Date.now()}-${uuidv4()}.jpg`;
-        const localResultPath = path.join(__dirname, 'public', 'results', resultFileName);
-        
-        try {
-            await downloadImageFromUrl(resultUrl, localResultPath);
-            const localResultUrl = `${req.protocol}://${req.get('host')}/results/${resultFileName}`;
-            
-            console.log(`💾 Result saved locally: ${localResultUrl}`);
-            
-            // ==========================================
-            // 5. DATABASE: USE FREE TRIAL OR CREDITS
-            // ==========================================
-            let generationResult;
-            const generationData = {
-                category: category,
-                api_used: apiResult.usedApi,
-                person_image_url: userImageFile.filename,
-                garment_image_url: clothingImageFile.filename,
-                result_image_url: localResultUrl,
-                processing_time_seconds: processingTime
-            };
-
-            if (hasFreeTrial) {
-                // Use free trial
-                generationResult = await useFreeTrial(userId, generationData);
-                console.log('🎁 Free trial used');
-            } else {
-                // Use credits
-                generationResult = await useCredits(userId, generationData, 1);
-                console.log(`💳 1 credit used (${generationResult.credits_remaining} remaining)`);
-            }
+        const isAsync = req.body.mode === 'async';
+
+        const prepared = await prepareTryOnJob({
+            userId,
+            userImageFile,
+            clothingImageFile,
+            category,
+            requestedApi: selectedApi,
+            baseUrl: `${req.protocol}://${req.get('host')}`,
+            status: isAsync ? 'queued' : 'processing',
+            segment: user.segment,
+            style,
+            params,
+            variants,
+            garmentMetadata,
+            creditAmount: variants * variantConfig.creditCostPerVariant
+        });
 
-            if (!generationResult.success) {
-                console.error('Database save error:', generationResult.error);
-            }
+        if (!prepared.success) {
+            await cleanupFiles(userImageFile, clothingImageFile);
 
-            // Clean temporary files
-            await fs.unlink(userImageFile.path);
-            await fs.unlink(clothingImageFile.path);
-            console.log('🗑️ Temporary files cleaned');
-            
-            // ==========================================
-            // 6. SUCCESS RESPONSE
-            // ==========================================
-            res.json({
-                success: true,
-                message: `AI Virtual Try-On completed for ${category.replace('_', ' ')}! 🎉`,
-                imageUrl: localResultUrl,
-                originalUrl: resultUrl,
-                fileName: resultFileName,
-                usedApi: apiResult.usedApi,
-                fallback: apiResult.fallback || false,
-                category: category,
-                timestamp: new Date().toISOString(),
-                // User info
-                usedFreeTrial: hasFreeTrial && !hasCredits,
-                creditsRemaining: generationResult.credits_remaining || user.credits,
-                freeTrialsRemaining: user.free_trials_limit - (user.free_trials_used + (hasFreeTrial ? 1 : 0))
+            const status = {
+                NO_CREDITS: 403,
+                INVALID_PARAMS: 400,
+                NO_PROVIDER_AVAILABLE: 503
+            }[prepared.code] || 500;
+            return res.status(status).json({
+                success: false,
+                error: prepared.error,
+                code: prepared.code
             });
-            
-        } catch (downloadError) {
-            console.warn('⚠️ Local save error, using direct URL:', downloadError.message);
-            
-            // Return direct URL on save failure (still record in database)
-            let generationResult;
-            const generationData = {
-                category: category,
-                api_used: apiResult.usedApi,
-                person_image_url: userImageFile.filename,
-                garment_image_url: clothingImageFile.filename,
-                result_image_url: resultUrl,
-                processing_time_seconds: processingTime
-            };
-
-            if (hasFreeTrial) {
-                generationResult = await useFreeTrial(userId, generationData);
-            } else {
-                generationResult = await useCredits(userId, generationData, 1);
-            }
+        }
+
+        const { job } = prepared;
 
-            res.json({
+        // ==========================================
+        // 5a. JOB MODE: hemen jobId dön, worker işlesin
+        // ==========================================
+        if (isAsync) {
+            tryOnQueue.enqueue(job);
+            tryOnEvents.publish(job.generationId, STAGES.QUEUED);
+
+            return res.status(202).json({
                 success: true,
-                message: `AI Virtual Try-On completed for ${category.replace('_', ' ')}! 🎉`,
-                imageUrl: resultUrl,
-                originalUrl: resultUrl,
-                usedApi: apiResult.usedApi,
-                fallback: apiResult.fallback || false,
+                jobId: job.generationId,
+                status: 'queued',
+                statusUrl: `/api/jobs/${job.generationId}?userId=${userId}`,
+                eventsUrl: `/api/jobs/${job.generationId}/events?userId=${userId}`,
                 category: category,
-                timestamp: new Date().toISOString(),
-                usedFreeTrial: hasFreeTrial && !hasCredits,
-                creditsRemaining: generationResult.credits_remaining || user.credits,
-                freeTrialsRemaining: user.free_trials_limit - (user.free_trials_used + (hasFreeTrial ? 1 : 0))
+                timestamp: new Date().toISOString()
             });
         }
+
+        // ==========================================
+        // 5b. SYNC MODE: işlemi bekle
+        // ==========================================
+        const result = await runTryOn(job);
+
+        // Clean temporary files
+        await cleanupFiles(userImageFile, clothingImageFile);
+        console.log('🗑️ Temporary files cleaned');
+
+        // ==========================================
+        // 6. SUCCESS RESPONSE
+        // ==========================================
+        res.json({
+            success: true,
+            message: `AI Virtual Try-On completed for ${category.replace('_', ' ')}! 🎉`,
+            jobId: result.generationId,
+            imageUrl: result.resultUrl,
+            originalUrl: result.originalUrl,
+            fileName: result.fileName,
+            usedApi: result.usedApi,
+            fallback: result.fallback,
+            cached: result.cached,
+            routingPolicy: result.routingPolicy,
+            experiment: result.experiment,
+            promptVersion: result.promptVersion,
+            style: result.style,
+            params: result.params,
+            garment: garmentMetadata,
+            variants,
+            selectedVariant: result.selectedVariant,
+            candidates: result.candidates,
+            category: category,
+            normalizedInputs: result.normalizedInputs,
+            timestamp: new Date().toISOString(),
+            // User info
+            usedFreeTrial: result.usedFreeTrial,
+            creditsRemaining: result.creditsRemaining,
+            freeTrialsRemaining: result.freeTrialsRemaining
+        });
         
     } catch (error) {
         console.error('❌ Processing error:', error);
         
         // Clean files on error
+        await cleanupFiles(req.files?.userImage?.[0], req.files?.clothingImage?.[0]);
+        
+        res.status(500).json({
+            success: false,
+            error: 'Processing failed',
+            details: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// ========================================
+// 🆕 BATCH TRY-ON ENDPOINT - One person, many garments
+// ========================================
+
+// Her kıyafet için kategori: `categories` (JSON array veya virgülle ayrılmış) ya da tek `category`
+const parseBatchCategories = (body, count) => {
+    let categories = body.categories;
+
+    if (typeof categories === 'string') {
         try {
-            if (req.files?.userImage?.[0]?.path) {
-                await fs.unlink(req.files.userImage[0].path);
+            categories = JSON.parse(categories);
+        } catch {
+            categories = categories.split(',').map(c => c.trim());
+        }
+    }
+
+    if (!Array.isArray(categories) || categories.length === 0) {
+        return new Array(count).fill(body.category || 'upper_body');
+    }
+
+    return categories;
+};
+
+app.post('/api/process-batch', upload.fields([
+    { name: 'userImage', maxCount: 1 },
+    { name: 'clothingImage', maxCount: batchConfig.maxItems }
+]), verifyUploads, async (req, res) => {
+    console.log('📥 New Batch Try-On request received');
+
+    const uploadedFiles = [
+        ...(req.files?.userImage || []),
+        ...(req.files?.clothingImage || [])
+    ];
+
+    try {
+        // ==========================================
+        // 1. USER AUTHENTICATION CHECK
+        // ==========================================
+        const userId = req.body.userId;
+        const userCheck = await checkTryOnUser(userId);
+
+        if (userCheck.error) {
+            await cleanupFiles(...uploadedFiles);
+            return res.status(userCheck.error.status).json(userCheck.error.body);
+        }
+
+        // ==========================================
+        // 2. FILE & CATEGORY VALIDATION
+        // ==========================================
+        if (!req.files || !req.files.userImage || !req.files.clothingImage) {
+            await cleanupFiles(...uploadedFiles);
+            return res.status(400).json({
+                success: false,
+                error: 'A user photo and at least one clothing photo must be uploaded'
+            });
+        }
+
+        const userImageFile = req.files.userImage[0];
+        const clothingImageFiles = req.files.clothingImage;
+        const categories = parseBatchCategories(req.body, clothingImageFiles.length);
+
+        if (categories.length !== clothingImageFiles.length) {
+            await cleanupFiles(...uploadedFiles);
+            return res.status(400).json({
+                success: false,
+                error: `Expected ${clothingImageFiles.length} categories, got ${categories.length}`
+            });
+        }
+
+        const invalidCategory = categories.find(category => !validateCategory(category));
+        if (invalidCategory) {
+            await cleanupFiles(...uploadedFiles);
+            return res.status(400).json({
+                success: false,
+                error: `Invalid category: ${invalidCategory}. Must be one of: upper_body, lower_body, dresses`
+            });
+        }
+
+        const selectedApi = req.body.api;
+        const baseUrl = `${req.protocol}://${req.get('host')}`;
+
+        console.log(`✅ Batch received: ${clothingImageFiles.length} garments (concurrency ${batchConfig.concurrency})`);
+
+        // ==========================================
+        // 3. PROCESS ITEMS (bounded concurrency)
+        // Her item kendi credit'ini rezerve eder; başarısız item iade edilir
+        // ==========================================
+        const items = await mapWithConcurrency(clothingImageFiles, batchConfig.concurrency, async (clothingImageFile, index) => {
+            const category = categories[index];
+
+            const quality = await checkUploadsQuality([
+                { file: userImageFile, role: 'userImage', category },
+                { file: clothingImageFile, role: 'clothingImage', category }
+            ]);
+
+            if (!quality.passed) {
+                const { code, hint, issues } = qualityErrorResponse(quality);
+                return {
+                    index,
+                    success: false,
+                    category,
+                    error: 'Image quality check failed',
+                    code,
+                    hint,
+                    issues
+                };
             }
-            if (req.files?.clothingImage?.[0]?.path) {
-                await fs.unlink(req.files.clothingImage[0].path);
+
+            const prepared = await prepareTryOnJob({
+                userId,
+                userImageFile,
+                clothingImageFile,
+                category,
+                requestedApi: selectedApi,
+                baseUrl,
+                segment: userCheck.user.segment
+            });
+
+            if (!prepared.success) {
+                return {
+                    index,
+                    success: false,
+                    category,
+                    error: prepared.error,
+                    code: prepared.code
+                };
             }
-        } catch (cleanError) {
-            console.error('File cleanup error:', cleanError);
+
+            try {
+                const result = await runTryOn(prepared.job);
+
+                return {
+                    index,
+                    success: true,
+                    category,
+                    jobId: result.generationId,
+                    imageUrl: result.resultUrl,
+                    usedApi: result.usedApi,
+                    fallback: result.fallback,
+                    cached: result.cached,
+                    normalizedInputs: result.normalizedInputs,
+                    usedFreeTrial: result.usedFreeTrial
+                };
+            } catch (error) {
+                return {
+                    index,
+                    success: false,
+                    category,
+                    jobId: prepared.job.generationId,
+                    error: error.message,
+                    code: 'PROCESSING_FAILED'
+                };
+            }
+        });
+
+        await cleanupFiles(...uploadedFiles);
+        console.log('🗑️ Temporary files cleaned');
+
+        // ==========================================
+        // 4. COMBINED RESPONSE
+        // ==========================================
+        const { data: updatedUser } = await supabaseAdmin
+            .from('users')
+            .select('credits, free_trials_used, free_trials_limit')
+            .eq('id', userId)
+            .single();
+
+        const succeeded = items.filter(item => item.success).length;
+
+        console.log(`🎉 Batch completed: ${succeeded}/${items.length} succeeded`);
+
+        res.json({
+            success: succeeded > 0,
+            message: `Batch try-on completed: ${succeeded}/${items.length} succeeded`,
+            total: items.length,
+            succeeded,
+            failed: items.length - succeeded,
+            items,
+            timestamp: new Date().toISOString(),
+            creditsRemaining: updatedUser?.credits,
+            freeTrialsRemaining: updatedUser
+                ? updatedUser.free_trials_limit - updatedUser.free_trials_used
+                : undefined
+        });
+
+    } catch (error) {
+        console.error('❌ Batch processing error:', error);
+
+        await cleanupFiles(...uploadedFiles);
+
+        res.status(500).json({
+            success: false,
+            error: 'Batch processing failed',
+            details: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// ========================================
+// 🆕 OUTFIT ENDPOINT - Chained upper + lower (+ outerwear, shoes)
+// ========================================
+app.post('/api/process-outfit', upload.fields([
+    { name: 'userImage', maxCount: 1 },
+    ...outfitSteps.map(step => ({ name: step.field, maxCount: 1 }))
+]), verifyUploads, async (req, res) => {
+    console.log('📥 New Outfit Try-On request received');
+
+    const uploadedFiles = Object.values(req.files || {}).flat();
+
+    try {
+        // ==========================================
+        // 1. USER AUTHENTICATION CHECK
+        // ==========================================
+        const userId = req.body.userId;
+        const userCheck = await checkTryOnUser(userId);
+
+        if (userCheck.error) {
+            await cleanupFiles(...uploadedFiles);
+            return res.status(userCheck.error.status).json(userCheck.error.body);
         }
-        
+
+        // ==========================================
+        // 2. FILE VALIDATION
+        // ==========================================
+        const missingStep = outfitSteps.find(step => step.required && !req.files?.[step.field]);
+
+        if (!req.files?.userImage || missingStep) {
+            await cleanupFiles(...uploadedFiles);
+            return res.status(400).json({
+                success: false,
+                error: `userImage and ${outfitSteps.filter(step => step.required).map(step => step.field).join(', ')} must be uploaded`
+            });
+        }
+
+        const userImageFile = req.files.userImage[0];
+        const outfit = outfitSteps
+            .filter(step => req.files[step.field])
+            .map(step => ({ file: req.files[step.field][0], category: step.category }));
+
+        console.log(`✅ Outfit received: ${outfit.map(garment => garment.category).join(' → ')}`);
+
+        // ==========================================
+        // 3. PRE-FLIGHT QUALITY CHECK
+        // ==========================================
+        const quality = await checkUploadsQuality([
+            { file: userImageFile, role: 'userImage', category: 'outfit' },
+            ...outfit.map(garment => ({ file: garment.file, role: 'clothingImage', category: garment.category }))
+        ]);
+
+        if (!quality.passed) {
+            await cleanupFiles(...uploadedFiles);
+            return res.status(422).json(qualityErrorResponse(quality));
+        }
+
+        // ==========================================
+        // 4. GENERATION KAYDI + CREDIT REZERVASYONU
+        // ==========================================
+        const isAsync = req.body.mode === 'async';
+
+        const prepared = await prepareTryOnJob({
+            userId,
+            userImageFile,
+            outfit,
+            category: 'outfit',
+            requestedApi: req.body.api,
+            baseUrl: `${req.protocol}://${req.get('host')}`,
+            status: isAsync ? 'queued' : 'processing',
+            creditAmount: outfitConfig.creditCost,
+            segment: userCheck.user.segment
+        });
+
+        if (!prepared.success) {
+            await cleanupFiles(...uploadedFiles);
+
+            const status = prepared.code === 'NO_CREDITS' ? 403 : 500;
+            return res.status(status).json({
+                success: false,
+                error: prepared.error,
+                code: prepared.code
+            });
+        }
+
+        const { job } = prepared;
+
+        if (isAsync) {
+            tryOnQueue.enqueue(job);
+            tryOnEvents.publish(job.generationId, STAGES.QUEUED);
+
+            return res.status(202).json({
+                success: true,
+                jobId: job.generationId,
+                status: 'queued',
+                statusUrl: `/api/jobs/${job.generationId}?userId=${userId}`,
+                eventsUrl: `/api/jobs/${job.generationId}/events?userId=${userId}`,
+                category: 'outfit',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        // ==========================================
+        // 5. CHAINED PROCESSING
+        // ==========================================
+        const result = await runTryOn(job);
+
+        await cleanupFiles(...uploadedFiles);
+        console.log('🗑️ Temporary files cleaned');
+
+        res.json({
+            success: true,
+            message: 'AI Virtual Try-On outfit completed! 🎉',
+            jobId: result.generationId,
+            imageUrl: result.resultUrl,
+            originalUrl: result.originalUrl,
+            fileName: result.fileName,
+            usedApi: result.usedApi,
+            fallback: result.fallback,
+            category: 'outfit',
+            steps: result.steps.map(step => ({
+                step: step.step,
+                category: step.category,
+                usedApi: step.usedApi,
+                fallback: step.fallback,
+                imageUrl: step.imageUrl,
+                normalizedInputs: step.inputs
+            })),
+            timestamp: new Date().toISOString(),
+            usedFreeTrial: result.usedFreeTrial,
+            creditsRemaining: result.creditsRemaining,
+            freeTrialsRemaining: result.freeTrialsRemaining
+        });
+
+    } catch (error) {
+        console.error('❌ Outfit processing error:', error);
+
+        await cleanupFiles(...uploadedFiles);
+
         res.status(500).json({
             success: false,
-            error: 'Processing failed',
+            error: 'Outfit processing failed',
             details: error.message,
             timestamp: new Date().toISOString()
         });
@@ -388,6 +819,7 @@ app.get('/api/health', async (req, res) => {
             status: '✅ Healthy',
             activeApis: activeApis,
             apiStatus: apiHealth,
+            jobQueue: tryOnQueue.getStats(),
             categories: ['upper_body', 'lower_body', 'dresses'],
             timestamp: new Date().toISOString()
         });
@@ -415,16 +847,52 @@ app.get('/api/info', (req, res) => {
             'Multi-API Support',
             'Automatic API Selection',
             'Fallback Mechanism',
-            'Category-based Optimization'
+            'Category-based Optimization',
+            'Async Job Mode',
+            'Live Progress Events (SSE)',
+            'Batch Try-On',
+            'Outfit Composition',
+            'Pre-flight Image Quality Checks',
+            'Magic-byte Upload Verification',
+            'Routing Policies',
+            'A/B Experiments',
+            'Replicate Webhook Mode',
+            'Versioned Prompt Templates',
+            'Runtime Provider Controls',
+            'Config-driven HTTP Providers',
+            'Result Cache',
+            'Provider Output Validation',
+            'Per-provider Generation Parameters',
+            'Multiple Candidates',
+            'Garment Metadata Prompts'
         ],
         endpoints: {
             health: 'GET /api/health',
             info: 'GET /api/info',
-            process: 'POST /api/process-image'
+            params: 'GET /api/params',
+            process: 'POST /api/process-image',
+            processBatch: 'POST /api/process-batch',
+            processOutfit: 'POST /api/process-outfit',
+            jobStatus: 'GET /api/jobs/:id?userId=',
+            jobEvents: 'GET /api/jobs/:id/events?userId=',
+            selectCandidate: 'POST /api/user/generations/:id/candidates/:variant/select',
+            experimentResults: 'GET /api/experiments/:id/results (admin)',
+            prompts: 'GET/POST /api/prompts, POST /api/prompts/:id/publish, POST /api/prompts/rollback (admin)',
+            providers: 'GET /api/providers, PATCH /api/providers/:name, GET /api/providers/audit (admin)'
         }
     });
 });
 
+// ========================================
+// PROVIDER PARAMETER SCHEMAS
+// ========================================
+app.get('/api/params', (req, res) => {
+    res.json({
+        success: true,
+        providers: apiManager.getParamSchemas()
+    });
+});
+
 // Root endpoint
 app.get('/', (req, res) => {
     res.json({
@@ -434,7 +902,8 @@ app.get('/', (req, res) => {
         endpoints: {
             health: 'GET /api/health',
             info: 'GET /api/info',
-            process: 'POST /api/process-image'
+            process: 'POST /api/process-image',
+            jobStatus: 'GET /api/jobs/:id?userId='
         }
     });
 });
@@ -475,6 +944,10 @@ app.get('/api/test-db', async (req, res) => {
 // Auth routes
 app.use('/api/auth', authRoutes);
 app.use('/api/user', userRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/experiments', experimentRoutes);
+app.use('/api/prompts', promptRoutes);
+app.use('/api/providers', providerRoutes);
 app.use('/api/payment', paymentRoutes);
 
 // Error handling
@@ -491,6 +964,21 @@ app.use((error, req, res, next) => {
 const startServer = async () => {
     try {
         await createDirectories();
+
+        // Runtime provider durumu ilk istekten önce yüklenir (hata olursa apiConfig ayarları geçerli)
+        try {
+            await loadProviderState();
+        } catch (error) {
+            console.warn('⚠️ Provider state could not be loaded, using apiConfig defaults:', error.message);
+        }
+
+        // Önceki process'te yarım kalan job'lar failed yapılıp iade edilir (kuyruk sadece bellekte)
+        const recovery = await recoverStaleJobs();
+        if (!recovery.success) {
+            console.warn('⚠️ Stale jobs could not be recovered:', recovery.error);
+        } else if (recovery.recovered > 0) {
+            console.log(`♻️ Recovered ${recovery.recovered} stale job(s)`);
+        }
         
         app.listen(PORT, '0.0.0.0', () => {
             console.log(`
@@ -505,7 +993,7 @@ const startServer = async () => {
 ⚙️ Active APIs: ${apiManager.getActiveApis().join(', ')}
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 💳 Payment System: Polar.sh (${process.env.POLAR_SERVER || 'sandbox'})
-🔔 Webhooks: /api/webhooks/polar
+🔔 Webhooks: /api/webhooks/polar, /api/webhooks/replicate
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
             `);
         });
@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const { requireAdmin } = require('../services/auth/adminAuth');
+const { experiments } = require('../services/apiConfig');
+const { getExperiment, getExperimentResults } = require('../services/experiments');
+
+router.use(requireAdmin);
+
+/**
+ * GET /api/experiments
+ * Tanımlı experiment'ler ve variant weight'leri
+ */
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    experiments: experiments.map(experiment => ({
+      id: experiment.id,
+      active: experiment.active,
+      description: experiment.description,
+      categories: experiment.categories,
+      variants: experiment.variants.map(variant => ({
+        id: variant.id,
+        weight: variant.weight,
+        provider: variant.provider
+      }))
+    }))
+  });
+});
+
+/**
+ * GET /api/experiments/:experimentId/results
+ * Variant bazında success rate, latency ve kullanıcı puanı
+ */
+router.get('/:experimentId/results', async (req, res) => {
+  try {
+    const { experimentId } = req.params;
+
+    if (!getExperiment(experimentId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Experiment not found',
+        code: 'EXPERIMENT_NOT_FOUND'
+      });
+    }
+
+    const variants = await getExperimentResults(experimentId);
+
+    res.json({
+      success: true,
+      experimentId,
+      variants,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Experiment results error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
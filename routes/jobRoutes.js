@@ -0,0 +1,193 @@
+const express = require('express');
+const router = express.Router();
+const { getGenerationById, getGenerationCandidates } = require('../services/auth/generationService');
+const { tryOnEvents, isTerminalStage } = require('../services/tryOnEvents');
+const { resolveResultUrl } = require('../services/storage');
+
+// Proxy'lerin idle bağlantıyı kapatmaması için heartbeat aralığı
+const SSE_HEARTBEAT_MS = 15000;
+
+/**
+ * Generation kaydını job response formatına çevir
+ * result_image_url storage key'dir; URL istek host'una göre üretilir
+ */
+function toJob(generation, baseUrl) {
+  return {
+    id: generation.id,
+    status: generation.status,
+    category: generation.category,
+    usedApi: generation.api_used || null,
+    routingPolicy: generation.routing_policy || null,
+    cached: generation.cache_hit || false,
+    garment: generation.garment_metadata || null,
+    variants: generation.variants || 1,
+    selectedVariant: generation.selected_variant ?? null,
+    resultUrl: generation.status === 'completed'
+      ? resolveResultUrl(generation.result_image_url, baseUrl)
+      : null,
+    error: generation.status === 'failed' ? generation.error_message : null,
+    processingTime: generation.processing_time_seconds,
+    createdAt: generation.created_at,
+    completedAt: generation.completed_at
+  };
+}
+
+/**
+ * İstek sahibinin job'unu getir
+ * userId query parametresi zorunludur; başka kullanıcının job'u bulunamadı olarak döner
+ * @returns {Promise<object>} { generation } veya { status, body } (hata response'u)
+ */
+async function findUserJob(req) {
+  const { userId } = req.query;
+
+  if (!userId) {
+    return {
+      status: 401,
+      body: { success: false, error: 'User ID is required', code: 'AUTH_REQUIRED' }
+    };
+  }
+
+  const result = await getGenerationById(req.params.jobId, userId);
+
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  if (!result.generation) {
+    return {
+      status: 404,
+      body: { success: false, error: 'Job not found', code: 'JOB_NOT_FOUND' }
+    };
+  }
+
+  return { generation: result.generation };
+}
+
+/**
+ * Tek bir SSE event'i yaz
+ */
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\n`);
+  res.write(`event: ${event.stage}\n`);
+  res.write(`data: ${JSON.stringify(event)}\n\n`);
+}
+
+/**
+ * GET /api/jobs/:jobId?userId=
+ * Try-on job durumunu getir (queued, processing, completed, failed)
+ */
+router.get('/:jobId', async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    const { generation, status, body } = await findUserJob(req);
+
+    if (!generation) {
+      return res.status(status).json(body);
+    }
+
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const job = toJob(generation, baseUrl);
+
+    // Çoklu variant isteğinde tüm adaylar
+    if (job.variants > 1) {
+      const candidatesResult = await getGenerationCandidates(jobId);
+      job.candidates = candidatesResult.success
+        ? candidatesResult.candidates.map(candidate => ({
+          variant: candidate.variant_index,
+          status: candidate.status,
+          imageUrl: candidate.result_image_url ? resolveResultUrl(candidate.result_image_url, baseUrl) : null,
+          usedApi: candidate.api_used,
+          params: candidate.params,
+          selected: candidate.is_selected,
+          error: candidate.error_message
+        }))
+        : [];
+    }
+
+    res.json({
+      success: true,
+      job
+    });
+
+  } catch (error) {
+    console.error('❌ Job status error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/jobs/:jobId/events?userId=
+ * Try-on ilerlemesini Server-Sent Events olarak stream et
+ */
+router.get('/:jobId/events', async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    const { generation, status, body } = await findUserJob(req);
+
+    if (!generation) {
+      return res.status(status).json(body);
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    // Şimdiye kadar olan aşamaları gönder
+    const history = tryOnEvents.getHistory(jobId);
+    history.forEach(event => writeEvent(res, event));
+
+    const finished = history.some(event => isTerminalStage(event.stage));
+
+    // Event geçmişi yoksa (ör. başka instance / restart) DB'deki son durumu gönder
+    if (finished || ['completed', 'failed'].includes(generation.status)) {
+      if (!finished) {
+        writeEvent(res, {
+          id: 1,
+          jobId,
+          stage: generation.status,
+          timestamp: new Date().toISOString(),
+          job: toJob(generation, `${req.protocol}://${req.get('host')}`)
+        });
+      }
+      return res.end();
+    }
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+
+    const unsubscribe = tryOnEvents.subscribe(jobId, (event) => {
+      writeEvent(res, event);
+
+      if (isTerminalStage(event.stage)) {
+        close();
+      }
+    });
+
+    function close() {
+      clearInterval(heartbeat);
+      unsubscribe();
+      res.end();
+    }
+
+    req.on('close', close);
+
+  } catch (error) {
+    console.error('❌ Job events error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,174 @@
+const express = require('express');
+const router = express.Router();
+const { requireAdmin } = require('../services/auth/adminAuth');
+const { getProvider, supportsCategory } = require('../services/providers');
+const {
+  getStyles,
+  listTemplates,
+  createTemplate,
+  publishTemplate,
+  rollbackTemplate
+} = require('../services/promptTemplates');
+
+router.use(requireAdmin);
+
+/**
+ * Provider + kategori doğrulaması (create / rollback)
+ * @returns {object|null} Hata cevabı veya null
+ */
+const validateTarget = (provider, category) => {
+  if (!provider || !getProvider(provider)) {
+    return { status: 400, error: `Unknown provider: ${provider}`, code: 'INVALID_PROVIDER' };
+  }
+
+  if (!category || !supportsCategory(provider, category)) {
+    return { status: 400, error: `Provider ${provider} does not support category: ${category}`, code: 'INVALID_CATEGORY' };
+  }
+
+  return null;
+};
+
+/**
+ * GET /api/prompts?provider=&category=
+ * Template versiyonları (yeniden eskiye)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { provider, category } = req.query;
+    const templates = await listTemplates({ provider, category });
+
+    res.json({
+      success: true,
+      templates,
+      styles: getStyles()
+    });
+
+  } catch (error) {
+    console.error('❌ Prompt templates list error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/prompts
+ * Yeni versiyon oluştur (draft)
+ * Body: { provider, category, prompt, negativePrompt?, styleModifiers?, notes?, publish? }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { provider, category, prompt, negativePrompt, styleModifiers, notes, publish } = req.body;
+
+    const invalid = validateTarget(provider, category);
+    if (invalid) {
+      return res.status(invalid.status).json({ success: false, error: invalid.error, code: invalid.code });
+    }
+
+    if (typeof prompt !== 'string' || prompt.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'prompt is required',
+        code: 'INVALID_PROMPT'
+      });
+    }
+
+    if (styleModifiers !== undefined && (typeof styleModifiers !== 'object' || styleModifiers === null ||
+      Object.values(styleModifiers).some(modifier => typeof modifier !== 'string'))) {
+      return res.status(400).json({
+        success: false,
+        error: 'styleModifiers must be an object of strings',
+        code: 'INVALID_STYLE_MODIFIERS'
+      });
+    }
+
+    let template = await createTemplate({
+      provider,
+      category,
+      prompt: prompt.trim(),
+      negativePrompt,
+      styleModifiers,
+      notes
+    });
+
+    if (publish === true) {
+      template = await publishTemplate(template.id);
+    }
+
+    res.status(201).json({
+      success: true,
+      template
+    });
+
+  } catch (error) {
+    console.error('❌ Prompt template create error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/prompts/rollback
+ * Yayındaki versiyondan önce yayınlanmış versiyona dön
+ * Body: { provider, category }
+ */
+router.post('/rollback', async (req, res) => {
+  try {
+    const { provider, category } = req.body;
+
+    const invalid = validateTarget(provider, category);
+    if (invalid) {
+      return res.status(invalid.status).json({ success: false, error: invalid.error, code: invalid.code });
+    }
+
+    const result = await rollbackTemplate(provider, category);
+
+    if (!result.success) {
+      return res.status(409).json(result);
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('❌ Prompt template rollback error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/prompts/:templateId/publish
+ * Versiyonu yayına al (önceki yayındaki versiyon arşivlenir)
+ */
+router.post('/:templateId/publish', async (req, res) => {
+  try {
+    const template = await publishTemplate(req.params.templateId);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prompt template not found',
+        code: 'TEMPLATE_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      template
+    });
+
+  } catch (error) {
+    console.error('❌ Prompt template publish error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,151 @@
+const express = require('express');
+const router = express.Router();
+const { requireAdmin } = require('../services/auth/adminAuth');
+const { getProviderNames, getProviderSettings } = require('../services/providers');
+const { getCircuitBreaker } = require('../services/circuitBreaker');
+const { getProviderOverride, updateProviderState, getProviderAudit } = require('../services/providerState');
+
+router.use(requireAdmin);
+
+/**
+ * Admin paneli için provider özeti (birleştirilmiş ayarlar + runtime override + circuit)
+ */
+const toProviderSummary = (name) => {
+  const settings = getProviderSettings(name);
+
+  return {
+    name,
+    displayName: settings.displayName,
+    enabled: settings.enabled && settings.active,
+    draining: settings.draining,
+    categories: settings.categories,
+    priority: settings.priority,
+    runtimeOverride: getProviderOverride(name),
+    circuit: getCircuitBreaker(name).getStats().state
+  };
+};
+
+/**
+ * PATCH body doğrulaması
+ * @returns {object} { changes } veya { error }
+ */
+const parseChanges = (name, body) => {
+  const changes = {};
+
+  for (const field of ['enabled', 'draining']) {
+    if (body[field] === undefined) continue;
+    if (typeof body[field] !== 'boolean') {
+      return { error: `${field} must be a boolean` };
+    }
+    changes[field] = body[field];
+  }
+
+  if (body.priority !== undefined) {
+    if (typeof body.priority !== 'object' || body.priority === null || Array.isArray(body.priority)) {
+      return { error: 'priority must be an object of category → number' };
+    }
+
+    const { categories } = getProviderSettings(name);
+    for (const [category, value] of Object.entries(body.priority)) {
+      if (!categories.includes(category)) {
+        return { error: `Provider ${name} does not support category: ${category}` };
+      }
+      if (value !== null && !Number.isInteger(value)) {
+        return { error: `priority.${category} must be an integer or null` };
+      }
+    }
+    changes.priority = body.priority;
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return { error: 'Nothing to update (enabled, draining or priority expected)' };
+  }
+
+  return { changes };
+};
+
+/**
+ * GET /api/providers
+ * Tüm provider'ların canlı durumu
+ */
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    providers: getProviderNames().map(toProviderSummary)
+  });
+});
+
+/**
+ * GET /api/providers/audit?provider=&limit=
+ * Provider durum değişiklikleri (yeniden eskiye)
+ */
+router.get('/audit', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 500);
+    const audit = await getProviderAudit({ provider: req.query.provider, limit });
+
+    res.json({
+      success: true,
+      audit
+    });
+
+  } catch (error) {
+    console.error('❌ Provider audit error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/providers/:name
+ * Provider'ı aç / kapat, drain moduna al veya kategori priority'lerini değiştir
+ * Body: { enabled?, draining?, priority?: { [category]: number | null }, actor?, reason? }
+ */
+router.patch('/:name', async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    if (!getProviderSettings(name)) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown provider: ${name}`,
+        code: 'PROVIDER_NOT_FOUND'
+      });
+    }
+
+    const parsed = parseChanges(name, req.body);
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        error: parsed.error,
+        code: 'INVALID_PROVIDER_SETTINGS'
+      });
+    }
+
+    const result = await updateProviderState(name, parsed.changes, {
+      actor: req.body.actor || 'admin',
+      reason: req.body.reason
+    });
+
+    if (!result.success) {
+      return res.status(500).json(result);
+    }
+
+    res.json({
+      success: true,
+      provider: toProviderSummary(name),
+      changes: result.changes
+    });
+
+  } catch (error) {
+    console.error('❌ Provider update error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
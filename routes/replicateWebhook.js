@@ -0,0 +1,60 @@
+const express = require('express');
+const router = express.Router();
+const { verifyWebhookRequest } = require('../services/replicatePredictions');
+const { completePrediction } = require('../services/tryOnService');
+
+// ============================
+// WEBHOOK ENDPOINT
+// ============================
+
+/**
+ * POST /api/webhooks/replicate
+ * Webhook modunda oluşturulan prediction'lar bitince Replicate tarafından çağrılır
+ * İmza ham gövde üzerinden doğrulandığı için express.json'dan önce mount edilir
+ */
+router.post('/', express.raw({ type: 'application/json' }), async (req, res) => {
+  try {
+    const verification = await verifyWebhookRequest(req.headers, req.body);
+
+    if (!verification.valid) {
+      console.warn('⚠️ Replicate webhook rejected:', verification.error);
+      const status = verification.code === 'WEBHOOK_DISABLED' ? 503 : 401;
+      return res.status(status).json({
+        success: false,
+        error: verification.error,
+        code: verification.code
+      });
+    }
+
+    const prediction = JSON.parse(req.body.toString('utf8'));
+    console.log(`🔔 Replicate webhook: ${prediction.id} (${prediction.status})`);
+
+    const result = await completePrediction(prediction);
+
+    if (!result.success) {
+      // 404 / 500 dönünce Replicate webhook'u tekrar gönderir
+      // (prediction id generation'a yazılmadan webhook gelmiş olabilir)
+      const status = result.code === 'GENERATION_NOT_FOUND' ? 404 : 500;
+      return res.status(status).json({
+        success: false,
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    res.json({
+      success: true,
+      status: result.status,
+      skipped: result.skipped || false
+    });
+
+  } catch (error) {
+    console.error('❌ Replicate webhook error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const { getStorage } = require('../services/storage');
+const { verifySignedResultUrl } = require('../services/storage/signedUrls');
+
+/**
+ * GET /results/:key?expires=...&signature=...
+ * İmzalı ve süresi dolmamış URL ile sonuç görselini sun
+ */
+router.get('/*', async (req, res) => {
+  try {
+    const key = req.params[0];
+    const { expires, signature } = req.query;
+
+    const verification = verifySignedResultUrl(key, expires, signature);
+
+    if (!verification.valid) {
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid or expired result URL',
+        code: verification.reason
+      });
+    }
+
+    const { buffer, contentType } = await getStorage().read(key);
+    const maxAge = Math.max(0, parseInt(expires, 10) - Math.floor(Date.now() / 1000));
+
+    res.set({
+      'Content-Type': contentType,
+      'Cache-Control': `private, max-age=${maxAge}`
+    });
+    res.send(buffer);
+
+  } catch (error) {
+    console.error('❌ Result fetch error:', error.message);
+    res.status(404).json({
+      success: false,
+      error: 'Result not found'
+    });
+  }
+});
+
+module.exports = router;
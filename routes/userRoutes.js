@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const { supabaseAdmin } = require('../config/supabase');
+const { createResultUrl } = require('../services/storage');
+const { selectGenerationCandidate } = require('../services/auth/generationService');
 
 /**
  * GET /api/user/credit-history/:userId
@@ -107,4 +109,173 @@ router.get('/stats/:userId', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/user/generations/:userId/result-urls?ids=id1,id2
+ * User'ın kendi generation'ları için yeni imzalı sonuç URL'leri üret
+ * ids verilmezse son 50 tamamlanmış generation döner
+ */
+router.get('/generations/:userId/result-urls', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const ids = req.query.ids ? String(req.query.ids).split(',').filter(Boolean) : null;
+
+    let query = supabaseAdmin
+      .from('generations')
+      .select('id, category, result_image_url, created_at')
+      .eq('user_id', userId)
+      .eq('status', 'completed');
+
+    if (ids) {
+      query = query.in('id', ids);
+    }
+
+    const { data: generations, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(50);
+
+    if (error) throw error;
+
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+
+    res.json({
+      success: true,
+      results: generations.map(generation => {
+        const signed = createResultUrl(generation.result_image_url, baseUrl);
+        return {
+          generationId: generation.id,
+          category: generation.category,
+          createdAt: generation.created_at,
+          url: signed?.url || null,
+          expiresAt: signed?.expiresAt || null
+        };
+      })
+    });
+
+  } catch (error) {
+    console.error('❌ Result URLs error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/user/generations/:generationId/feedback
+ * Tamamlanmış generation için kullanıcı puanı (1-5)
+ * Puanlar 'quality' routing policy'sinde provider skorlarını belirler
+ */
+router.post('/generations/:generationId/feedback', async (req, res) => {
+  try {
+    const { generationId } = req.params;
+    const { userId } = req.body;
+    const rating = Number(req.body.rating);
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        error: 'User ID is required',
+        code: 'AUTH_REQUIRED'
+      });
+    }
+
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return res.status(400).json({
+        success: false,
+        error: 'Rating must be an integer between 1 and 5',
+        code: 'INVALID_RATING'
+      });
+    }
+
+    const { data: generation, error } = await supabaseAdmin
+      .from('generations')
+      .update({ user_rating: rating })
+      .eq('id', generationId)
+      .eq('user_id', userId)
+      .eq('status', 'completed')
+      .select('id, api_used, user_rating')
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!generation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Completed generation not found',
+        code: 'GENERATION_NOT_FOUND'
+      });
+    }
+
+    console.log(`⭐ Feedback: ${generationId} (${generation.api_used}) rated ${rating}`);
+
+    res.json({
+      success: true,
+      generationId: generation.id,
+      rating: generation.user_rating
+    });
+
+  } catch (error) {
+    console.error('❌ Feedback error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/user/generations/:generationId/candidates/:variant/select
+ * Çoklu variant isteğinde kullanıcının favorisini generation'ın ana sonucu yap
+ */
+router.post('/generations/:generationId/candidates/:variant/select', async (req, res) => {
+  try {
+    const { generationId } = req.params;
+    const { userId } = req.body;
+    const variant = Number(req.params.variant);
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        error: 'User ID is required',
+        code: 'AUTH_REQUIRED'
+      });
+    }
+
+    if (!Number.isInteger(variant) || variant < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Variant must be a non-negative integer',
+        code: 'INVALID_VARIANT'
+      });
+    }
+
+    const result = await selectGenerationCandidate(userId, generationId, variant);
+
+    if (!result.success) {
+      return res.status(result.code ? 404 : 500).json(result);
+    }
+
+    console.log(`⭐ Candidate selected: ${generationId} → variant ${variant}`);
+
+    const signed = createResultUrl(result.generation.result_image_url, `${req.protocol}://${req.get('host')}`);
+
+    res.json({
+      success: true,
+      generationId: result.generation.id,
+      selectedVariant: result.generation.selected_variant,
+      usedApi: result.generation.api_used,
+      params: result.generation.params,
+      url: signed?.url || null,
+      expiresAt: signed?.expiresAt || null
+    });
+
+  } catch (error) {
+    console.error('❌ Candidate select error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -3,7 +3,9 @@
 
 /**
  * Multi-API Configuration
- * Her API için konfigürasyon ve prompt templateları
+ * Provider'ların kategori, priority, maliyet ve input tanımları kendi modüllerinde
+ * (services/providers) yapılır. Buradaki ayarlar deployment'a özeldir ve
+ * tanımdaki değerleri ezer (ör. priority: { upper_body: 1 }).
  */
 
 const apiConfig = {
@@ -14,13 +16,7 @@ const apiConfig = {
         apiKey: process.env.REPLICATE_API_TOKEN,
         model: "cuuupid/idm-vton:0513734a452173b8173e907e3a59d19a36266e55b48528559432bd21c7d7e985",
         timeout: 120000,
-        estimatedTime: 60,
-        costPerImage: 0.01,
-        priority: {
-            upper_body: 2,
-            lower_body: 2,
-            dresses: 2
-        }
+        estimatedTime: 60
     },
 
     // Google Nano Banana (Yeni API)
@@ -32,18 +28,28 @@ const apiConfig = {
         type: 'prompt-based',
         timeout: 120000,
         estimatedTime: 45,
-        costPerImage: 0.005,
-        features: ['text-to-image', 'image-editing'],
-        priority: {
-            upper_body: 1,
-            lower_body: 1,
-            dresses: 1
-        }
+        features: ['text-to-image', 'image-editing']
+    },
+
+    // Mock (offline geliştirme / CI - dış çağrı yapmaz)
+    'mock': {
+        enabled: process.env.MOCK_PROVIDER_ENABLED === 'true',
+        active: process.env.MOCK_PROVIDER_ENABLED === 'true',
+        timeout: 30000,
+        estimatedTime: 1,
+        // Sonuç URL'inin host'u (pipeline sonucu bu URL'den indirir)
+        publicUrl: process.env.MOCK_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`,
+        latencyMs: parseInt(process.env.MOCK_LATENCY_MS || '500', 10),
+        // 0-1 arası; hata HTTP failureStatus ile döner (5xx/429 retry edilir)
+        failureRate: parseFloat(process.env.MOCK_FAILURE_RATE || '0'),
+        failureStatus: parseInt(process.env.MOCK_FAILURE_STATUS || '503', 10)
     }
 };
 
 /**
- * Kategori bazlı prompt templates
+ * Kategori bazlı varsayılan prompt templates
+ * prompt_templates tablosunda provider + kategori için yayınlanmış versiyon yoksa kullanılır
+ * (usesPromptTemplates tanımlayan provider'lar için, bkz. services/promptTemplates.js)
  */
 const promptTemplates = {
     upper_body: {
@@ -61,47 +67,302 @@ const promptTemplates = {
         negative_prompt: "blurry, low quality, distorted, unrealistic, cartoon, poorly fitted"
     },
     
+    outerwear: {
+        prompt: "Wear the outerwear (jacket or coat) in the second image over the current clothes of the person in the first image, keeping the rest of the outfit unchanged.",
+        negative_prompt: "blurry, low quality, distorted, unrealistic, cartoon, missing clothes underneath"
+    },
+    
+    shoes: {
+        prompt: "Replace the shoes of the person in the first image with the shoes in the second image, keeping the rest of the outfit unchanged.",
+        negative_prompt: "blurry, low quality, distorted, unrealistic, cartoon, bare feet"
+    },
+    
     default: {
         prompt: "A person wearing clothing, professional fashion photography, high quality",
         negative_prompt: "blurry, low quality, distorted, unrealistic"
     }
 };
 
+/**
+ * Prompt ayarları
+ * styleModifiers: /api/process-image `style` parametresinin geçerli değerleri ve prompt'a eklenen ifade
+ * (template kaydındaki style_modifiers aynı stil için bu ifadeyi ezebilir)
+ */
+const promptConfig = {
+    styleModifiers: {
+        casual: ' in casual style',
+        formal: ' in formal style',
+        sporty: ' in sporty style',
+        elegant: ' in elegant style'
+    },
+    // Yayınlanmış template'ler bu süre cache'lenir
+    cacheTtlMs: 60 * 1000
+};
+
 /**
  * API seçim stratejisi
  */
 const apiSelectionStrategy = {
     priority: 'category-based',
     fallback: true,
+    // Geçici hatalarda (network, 429, 5xx) aynı provider için ek deneme sayısı
     maxRetries: 2,
+    retryBaseDelayMs: 1000,
+    retryMaxDelayMs: 10000,
+    // Provider config'inde timeout yoksa kullanılır
     timeout: 120000
 };
 
+/**
+ * A/B experiment tanımları
+ * Her variant bir provider, prompt template override'ları (generatePrompt) ve model parametreleri içerir.
+ * Kullanıcı experiment id + user id hash'ine göre weight oranında sabit bir variant'a atanır.
+ * Bir kategori için aynı anda sadece ilk aktif experiment uygulanır.
+ */
+const experiments = [
+    {
+        id: 'nano-prompt-detail-v1',
+        active: process.env.EXPERIMENT_NANO_PROMPT_DETAIL === 'true',
+        description: 'Detailed fit/fabric wording vs. current nano-banana prompts',
+        categories: ['upper_body', 'lower_body', 'dresses'],
+        variants: [
+            {
+                id: 'control',
+                weight: 50,
+                provider: 'nano-banana'
+            },
+            {
+                id: 'detailed',
+                weight: 50,
+                provider: 'nano-banana',
+                promptTemplates: {
+                    upper_body: {
+                        prompt: "Dress the person in the first image in the upper body garment from the second image. Preserve the garment's exact color, pattern, fabric texture and fit, and keep the person's face, pose, body shape and background unchanged.",
+                        negative_prompt: "blurry, low quality, distorted, unrealistic, cartoon, changed face"
+                    },
+                    lower_body: {
+                        prompt: "Dress the person in the first image in the lower body garment from the second image. Preserve the garment's exact color, pattern, fabric texture, length and fit, and keep the person's face, pose, body shape and background unchanged.",
+                        negative_prompt: "blurry, low quality, distorted, unrealistic, cartoon, cropped, changed face"
+                    },
+                    dresses: {
+                        prompt: "Dress the person in the first image in the full outfit from the second image. Preserve the outfit's exact color, pattern, fabric texture, length and fit, and keep the person's face, pose, body shape and background unchanged.",
+                        negative_prompt: "blurry, low quality, distorted, unrealistic, cartoon, poorly fitted, changed face"
+                    }
+                }
+            }
+        ]
+    }
+];
+
+/**
+ * Routing policy ayarları
+ * priority: kategori priority'si | cheapest: costPerImage | fastest: ölçülen p50 latency
+ * quality: kullanıcı puanları (generations.user_rating)
+ * segmentPolicies: users.segment değerine göre policy override
+ */
+const routingConfig = {
+    defaultPolicy: process.env.ROUTING_POLICY || 'priority',
+    segmentPolicies: {
+        free: 'cheapest',
+        paid: 'quality'
+    },
+    // Quality skoru için son N gündeki puanlar kullanılır
+    qualityWindowDays: 30,
+    // Bu sayıdan az puanı olan provider skorsuz sayılır
+    minRatings: 5,
+    scoreCacheTtlMs: 5 * 60 * 1000
+};
+
+/**
+ * Provider circuit breaker ayarları
+ * Art arda failureThreshold hata veya pencerede errorRateThreshold üstü hata oranı → circuit açılır;
+ * openDurationMs sonra tek bir deneme isteği (half-open) gönderilir
+ */
+const circuitBreakerConfig = {
+    failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD || '3', 10),
+    errorRateThreshold: 0.5,
+    minRequests: 5,
+    windowSize: 50,
+    windowMs: 5 * 60 * 1000,
+    openDurationMs: parseInt(process.env.CIRCUIT_OPEN_DURATION_MS || '30000', 10),
+    // Half-open deneme isteği bu süre içinde sonuçlanmazsa (kayıp webhook, başka instance) serbest bırakılır
+    trialTimeoutMs: parseInt(process.env.CIRCUIT_TRIAL_TIMEOUT_MS || '300000', 10)
+};
+
+/**
+ * Sonuç cache'i (result_cache tablosu)
+ * Aynı görseller + kategori + provider + prompt versiyonu ttlMs içinde tekrar gelirse provider çağrılmaz.
+ * hitPolicy: 'free' (rezerve edilen credit iade edilir) veya 'charge' (normal ücretlendirilir)
+ */
+const resultCacheConfig = {
+    enabled: process.env.RESULT_CACHE_ENABLED !== 'false',
+    ttlMs: parseInt(process.env.RESULT_CACHE_TTL_HOURS || '24', 10) * 60 * 60 * 1000,
+    hitPolicy: process.env.RESULT_CACHE_HIT_POLICY || 'free'
+};
+
+/**
+ * Runtime provider durumu (provider_settings tablosu)
+ * Seçimde bellekteki kopya kullanılır; cacheTtlMs dolunca arka planda yenilenir
+ */
+const providerStateConfig = {
+    cacheTtlMs: parseInt(process.env.PROVIDER_STATE_CACHE_TTL_MS || '15000', 10)
+};
+
+/**
+ * Replicate webhook modu
+ * Açıkken kuyruktaki (async) job'lar replicate.run ile beklemek yerine webhook'lu prediction
+ * oluşturur; generation /api/webhooks/replicate çağrısında tamamlanır.
+ * publicUrl: Replicate'in erişebileceği API adresi, secret: Replicate webhook signing secret'ı (whsec_...)
+ */
+const replicateWebhookConfig = {
+    enabled: Boolean(process.env.REPLICATE_WEBHOOK_BASE_URL && process.env.REPLICATE_WEBHOOK_SECRET),
+    publicUrl: process.env.REPLICATE_WEBHOOK_BASE_URL,
+    secret: process.env.REPLICATE_WEBHOOK_SECRET,
+    path: '/api/webhooks/replicate',
+    // webhook-timestamp bu kadar eskiyse istek reddedilir (replay koruması)
+    toleranceSeconds: 5 * 60
+};
+
+/**
+ * Yarım kalmış job'ların kurtarılması (sunucu açılışında)
+ * Kuyruk sadece bellekte tutulduğu için yeniden başlatmada queued / processing kalan generation'lar
+ * bu süreden eskiyse failed yapılır ve rezervasyonları iade edilir.
+ * Webhook bekleyen (prediction_id'li) kayıtlar Replicate sonucu geç gönderebileceği için daha uzun bekler.
+ */
+const jobRecoveryConfig = {
+    staleAfterMs: parseInt(process.env.JOB_STALE_AFTER_MINUTES || '15', 10) * 60 * 1000,
+    predictionStaleAfterMs: parseInt(process.env.PREDICTION_STALE_AFTER_MINUTES || '120', 10) * 60 * 1000
+};
+
+/**
+ * Batch try-on ayarları (tek kişi fotoğrafı, birden fazla kıyafet)
+ */
+const batchConfig = {
+    maxItems: parseInt(process.env.BATCH_MAX_ITEMS || '5', 10),
+    concurrency: parseInt(process.env.BATCH_CONCURRENCY || '2', 10)
+};
+
+/**
+ * Pre-flight kalite kontrolü eşik değerleri
+ * Kategori ayarları default'un üzerine yazılır; userImage / clothingImage alt anahtarları
+ * sadece o görsel için geçerlidir.
+ * blurScore: Laplacian varyansı (512px'e küçültülmüş gri görsel üzerinde)
+ */
+const qualityThresholds = {
+    default: {
+        minWidth: 256,
+        minHeight: 256,
+        maxAspectRatio: 3,
+        minBrightness: 25,
+        maxBrightness: 245,
+        minBlurScore: 30,
+        // Ürün fotoğrafları genelde beyaz ve düz arka planlı
+        clothingImage: {
+            maxBrightness: 253,
+            minBlurScore: 5
+        }
+    },
+    lower_body: {
+        userImage: { minHeight: 384 }
+    },
+    dresses: {
+        userImage: { minHeight: 384 }
+    },
+    shoes: {
+        clothingImage: { minWidth: 192, minHeight: 192 }
+    },
+    // Outfit modu üst + alt giyimi birlikte uyguladığı için tam boy fotoğraf gerekir
+    outfit: {
+        userImage: { minHeight: 384 }
+    }
+};
+
+/**
+ * Provider çıktısı kontrolü (ücretlendirmeden önce)
+ * Sonuç indirilir; çözülemeyen, boyutu makul olmayan veya girdiyle byte byte aynı görseller reddedilir
+ */
+const outputValidation = {
+    minDimension: 128,
+    maxDimension: 8192,
+    maxAspectRatio: 4,
+    maxBytes: 25 * 1024 * 1024
+};
+
+/**
+ * Çoklu aday (variant) ayarları
+ * variants: N isteği N × creditCostPerVariant credit rezerve eder; sadece kaydedilen adaylar ücretlendirilir
+ */
+const variantConfig = {
+    maxVariants: 4,
+    creditCostPerVariant: parseInt(process.env.VARIANT_CREDIT_COST || '1', 10)
+};
+
 /**
  * Valid kategoriler
  */
 const validCategories = ['upper_body', 'lower_body', 'dresses'];
 
+/**
+ * Outfit modu: kıyafetler bu sırayla zincirlenir
+ * Her adımın sonucu bir sonraki adımın kişi görseli olur
+ */
+const outfitSteps = [
+    { field: 'upperImage', category: 'upper_body', required: true },
+    { field: 'lowerImage', category: 'lower_body', required: true },
+    { field: 'outerwearImage', category: 'outerwear', required: false },
+    { field: 'shoesImage', category: 'shoes', required: false }
+];
+
+/**
+ * Outfit modu ayarları
+ */
+const outfitConfig = {
+    creditCost: parseInt(process.env.OUTFIT_CREDIT_COST || '1', 10)
+};
+
 // ============================================
 // HELPER FUNCTIONS
 // ============================================
 
+// Provider modülleri bu dosyayı require ettiği için registry lazy yüklenir
+const getProviderRegistry = () => require('./providers');
+
 /**
- * Kategori validasyonu
- * @param {string} category - Kontrol edilecek kategori
- * @returns {boolean} Geçerli mi?
+ * API bu kategoriyi destekliyor mu?
+ * @param {string} apiName - API adı
+ * @param {string} category - Kategori (outfit kategorileri dahil)
+ * @returns {boolean}
  */
-const validateCategory = (category) => {
-    return validCategories.includes(category);
+const supportsCategory = (apiName, category) => {
+    return getProviderRegistry().supportsCategory(apiName, category);
 };
 
 /**
- * API config'i al
+ * Kategori ve görsel rolü için kalite eşiklerini getir
+ * @param {string} category - Kategori
+ * @param {string} role - 'userImage' veya 'clothingImage'
+ * @returns {object} Birleştirilmiş eşik değerleri
+ */
+const getQualityThresholds = (category, role) => {
+    const { userImage, clothingImage, ...base } = qualityThresholds.default;
+    const defaults = { ...base, ...(role === 'userImage' ? userImage : clothingImage) };
+    const overrides = qualityThresholds[category] || {};
+    const { userImage: userOverrides, clothingImage: clothingOverrides, ...categoryBase } = overrides;
+
+    return {
+        ...defaults,
+        ...categoryBase,
+        ...(role === 'userImage' ? userOverrides : clothingOverrides)
+    };
+};
+
+/**
+ * API config'i al (provider tanımı + buradaki ayarlar)
  * @param {string} apiName - API adı ('idm-vton' veya 'nano-banana')
  * @returns {object} API konfigürasyonu
  */
 const getApiConfig = (apiName) => {
-    const config = apiConfig[apiName];
+    const config = getProviderRegistry().getProviderSettings(apiName);
     
     if (!config) {
         throw new Error(`API configuration not found: ${apiName}`);
@@ -110,27 +371,34 @@ const getApiConfig = (apiName) => {
     return config;
 };
 
+/**
+ * Prompt'a stil ifadesini ekle (cümle sonundaki nokta ifadeden sonraya alınır)
+ */
+const applyStyleModifier = (prompt, modifier) => {
+    if (!modifier) return prompt;
+
+    const sentence = prompt.trim();
+    return sentence.endsWith('.')
+        ? `${sentence.slice(0, -1)}${modifier}.`
+        : `${sentence}${modifier}`;
+};
+
 /**
  * Kategori ve stil için prompt oluştur
  * @param {string} category - Kategori
  * @param {string} style - Stil (optional)
+ * @param {object} templateOverrides - Kategori bazlı template override'ları (ör. experiment variant'ı)
  * @returns {object} { prompt, negative_prompt }
  */
-const generatePrompt = (category, style = 'default') => {
-    const template = promptTemplates[category] || promptTemplates.default;
-    
-    // Stil bazlı özelleştirmeler eklenebilir
-    const styleModifiers = {
-        casual: ' in casual style',
-        formal: ' in formal style',
-        sporty: ' in sporty style',
-        elegant: ' in elegant style'
-    };
+const generatePrompt = (category, style = 'default', templateOverrides = {}) => {
+    const templates = { ...promptTemplates, ...templateOverrides };
+    const template = templates[category] || templates.default;
     
-    const modifier = styleModifiers[style] || '';
+    // Stil bazlı özelleştirme
+    const modifier = promptConfig.styleModifiers[style] || '';
     
     return {
-        prompt: template.prompt + modifier,
+        prompt: applyStyleModifier(template.prompt, modifier),
         negative_prompt: template.negative_prompt
     };
 };
@@ -140,29 +408,7 @@ const generatePrompt = (category, style = 'default') => {
  * @returns {array} Aktif API isimleri
  */
 const getActiveApis = () => {
-    return Object.keys(apiConfig).filter(key => apiConfig[key].enabled);
-};
-
-/**
- * Belirli kategori için en iyi API'yi seç
- * @param {string} category - Kategori
- * @returns {string} API adı
- */
-const selectBestApiForCategory = (category) => {
-    const activeApis = getActiveApis();
-    
-    if (activeApis.length === 0) {
-        throw new Error('No active APIs available');
-    }
-    
-    // Priority'ye göre sırala
-    const sortedApis = activeApis.sort((a, b) => {
-        const priorityA = apiConfig[a].priority[category] || 999;
-        const priorityB = apiConfig[b].priority[category] || 999;
-        return priorityA - priorityB;
-    });
-    
-    return sortedApis[0];
+    return getProviderRegistry().getActiveProviders();
 };
 
 // ============================================
@@ -172,12 +418,27 @@ const selectBestApiForCategory = (category) => {
 module.exports = {
     apiConfig,
     promptTemplates,
+    promptConfig,
     apiSelectionStrategy,
+    experiments,
+    routingConfig,
+    circuitBreakerConfig,
+    resultCacheConfig,
+    providerStateConfig,
+    replicateWebhookConfig,
+    jobRecoveryConfig,
+    batchConfig,
     validCategories,
+    outfitSteps,
+    outfitConfig,
+    variantConfig,
+    qualityThresholds,
+    outputValidation,
     // Functions
-    validateCategory,
+    getQualityThresholds,
+    supportsCategory,
     getApiConfig,
     generatePrompt,
-    getActiveApis,
-    selectBestApiForCategory
+    applyStyleModifier,
+    getActiveApis
 };
@@ -1,120 +1,385 @@
 // services/apiManager.js
-const { apiConfig } = require('./apiConfig');
-const idmVtonService = require('./idmVtonService');
-const nanoBananaService = require('./nanoBananaService');
+const path = require('path');
+const fs = require('fs').promises;
+const { v4: uuidv4 } = require('uuid');
+const { prepareForProvider } = require('./imageNormalizer');
+const { digestFiles, validateProviderOutput } = require('./outputValidator');
+const providerRegistry = require('./providers');
+const { getCircuitBreaker } = require('./circuitBreaker');
+const { callWithTimeout, isRetryableError, getErrorStatus, getBackoffDelay, sleep } = require('./providerCall');
+const { rankByPolicy } = require('./routingPolicy');
+const { resolvePrompt } = require('./promptTemplates');
+const { resolveParams } = require('./providerParams');
+const { apiSelectionStrategy } = require('./apiConfig');
+const { STAGES } = require('./tryOnEvents');
 
 class ApiManager {
     constructor() {
-        this.apis = {
-            'idm-vton': idmVtonService,
-            'nano-banana': nanoBananaService
-        };
+        this.registry = providerRegistry;
     }
 
     /**
      * Aktif API'leri al
      */
     getActiveApis() {
-        return Object.keys(this.apis).filter(key => {
-            const config = apiConfig[key];
-            return config && config.enabled && config.active;
-        });
+        return this.registry.getActiveProviders();
     }
 
     /**
-     * Kategori için en uygun API'yi seç
-     * @param {string} category - upper_body, lower_body, dresses
+     * Aktif API'lerin parametre şemaları (istekteki params bunlara göre doğrulanır)
+     * @returns {object} { [apiName]: { categories, params: paramSchema } }
      */
-    selectBestApi(category) {
-        const activeApis = this.getActiveApis();
+    getParamSchemas() {
+        return Object.fromEntries(this.getActiveApis().map(apiName => {
+            const { categories, paramSchema = {} } = this.registry.getProviderSettings(apiName);
+            return [apiName, { categories, params: paramSchema }];
+        }));
+    }
+
+    /**
+     * Kategoriyi destekleyen, circuit'i açık olmayan API'ler (priority sırasıyla)
+     */
+    getAvailableApis(category) {
+        return this.registry.rankProviders(category)
+            .filter(apiName => getCircuitBreaker(apiName).isAvailable());
+    }
+
+    /**
+     * Seçilebilir API'ler (priority sırasıyla); hiç yoksa sebebiyle hata fırlatır
+     */
+    getSelectableApis(category) {
+        const rankedApis = this.registry.rankProviders(category);
         
-        console.log('🔍 Active APIs:', activeApis);
+        console.log('🔍 Active APIs:', rankedApis);
         
-        if (activeApis.length === 0) {
-            throw new Error('No active API available');
+        if (rankedApis.length === 0) {
+            throw new Error(`No active API available for ${category}`);
         }
 
-        // Kategori bazlı öncelik sistemi
-        const apiPriority = {
-            upper_body: ['idm-vton', 'nano-banana'],
-            lower_body: ['idm-vton', 'nano-banana'],
-            dresses: ['nano-banana', 'idm-vton']
-        };
-
-        const priorityList = apiPriority[category] || apiPriority.upper_body;
-        
-        // Öncelik listesinden ilk aktif API'yi seç
-        for (const apiName of priorityList) {
-            if (activeApis.includes(apiName)) {
-                console.log(`✅ Selected API for ${category}: ${apiName}`);
-                return apiName;
-            }
+        const availableApis = this.getAvailableApis(category);
+        if (availableApis.length === 0) {
+            throw new Error(`All APIs for ${category} are temporarily unavailable (circuit open)`);
         }
 
-        // Fallback: İlk aktif API
-        console.log(`⚠️ Using fallback API: ${activeApis[0]}`);
-        return activeApis[0];
+        return availableApis;
+    }
+
+    /**
+     * Kategori için en uygun API'yi seç
+     * Provider tanımlarındaki (ve apiConfig'teki) priority değerlerine göre;
+     * circuit'i açık olan provider'lar atlanır
+     * @param {string} category - upper_body, lower_body, dresses, outerwear, shoes
+     */
+    selectBestApi(category) {
+        const [bestApi] = this.getSelectableApis(category);
+
+        console.log(`✅ Selected API for ${category}: ${bestApi}`);
+        return bestApi;
+    }
+
+    /**
+     * Routing policy'ye göre API'leri sırala (ilki seçilir, diğerleri fallback sırası)
+     * @param {string} policy - priority, cheapest, fastest, quality
+     */
+    async rankApis(category, policy = 'priority') {
+        const rankedApis = await rankByPolicy(policy, this.getSelectableApis(category), category);
+
+        console.log(`✅ Selected API for ${category} (${policy}): ${rankedApis[0]}`);
+        return rankedApis;
+    }
+
+    /**
+     * İşlemden önce kullanılacak provider ve prompt'u belirle (result cache anahtarı için)
+     * autoProcess ile aynı sıralamayı kullanır; fallback'e düşülürse sonuç kullanılan provider ile cache'lenir
+     * @param {object} options - { requestedApi, preferredApi, routingPolicy, style }
+     *                          preferredApi: kullanılabilirse öne alınan provider (istekteki params'ın doğrulandığı)
+     * @returns {Promise<object>} { api, prompt }
+     */
+    async planRequest(category, { requestedApi, preferredApi, routingPolicy = 'priority', style } = {}) {
+        const rankedApis = requestedApi ? [requestedApi] : await this.rankApis(category, routingPolicy);
+        const api = rankedApis.includes(preferredApi) ? preferredApi : rankedApis[0];
+        const prompt = await resolvePrompt(api, category, style);
+
+        return { api, prompt };
     }
 
     /**
      * Seçilen API ile try-on işlemi yap
+     * Görseller önce provider'ın max çözünürlüğüne ve formatına göre hazırlanır
+     * @param {object} options - { onProgress(stage, data), attempts, deferred, style, prompt, params, garmentMetadata } ilerleme bildirimi,
+     *                          deneme kayıtları, webhook modu (provider createPrediction destekliyorsa sonuç beklenmez),
+     *                          prompt stili; prompt verilmezse (experiment) yayındaki prompt template'i kullanılır;
+     *                          params provider'ın paramSchema'sına göre doğrulanıp varsayılanlarla tamamlanır;
+     *                          garmentMetadata: kıyafet metadata'sı, provider prompt builder'larına iletilir
+     * @returns {Promise<object>} { result, output, inputs, prompt, params } - result URL'i, doğrulanmış sonuç görseli
+     *                            (outputValidator), provider'a gönderilen görsel boyutları,
+     *                            kullanılan prompt ({ templateId, version, style, ... } veya null) ve etkin parametreler
+     *                            Webhook modunda result / output yerine prediction: { predictionId, status, inputDigests }
      */
-    async processWithApi(apiName, userImagePath, clothingImagePath, category) {
+    async processWithApi(apiName, userImagePath, clothingImagePath, category, options = {}) {
         console.log(`🎯 Processing with ${apiName}...`);
         
-        if (!this.apis[apiName]) {
+        const api = this.registry.getProvider(apiName);
+        if (!api) {
             throw new Error(`API not found: ${apiName}`);
         }
 
-        const config = apiConfig[apiName];
-        if (!config || !config.enabled) {
+        const config = this.registry.getProviderSettings(apiName);
+        if (!config.enabled) {
             throw new Error(`API not enabled: ${apiName}`);
         }
 
-        const api = this.apis[apiName];
-        return await api.processVirtualTryOn(userImagePath, clothingImagePath, category);
+        if (!this.registry.supportsCategory(apiName, category)) {
+            throw new Error(`API ${apiName} does not support category: ${category}`);
+        }
+
+        // Etkin parametreler (seed dahil) tüm retry denemelerinde aynıdır
+        const resolvedParams = resolveParams(config.paramSchema, options.params, category);
+        if (!resolvedParams.success) {
+            throw new Error(`Invalid params for ${apiName}: ${resolvedParams.error}`);
+        }
+        const { params } = resolvedParams;
+
+        const preparedFiles = [];
+
+        try {
+            const userInput = await prepareForProvider(userImagePath, config.input);
+            preparedFiles.push(userInput.path);
+            const clothingInput = await prepareForProvider(clothingImagePath, config.input);
+            preparedFiles.push(clothingInput.path);
+
+            const inputs = {
+                userImage: { width: userInput.width, height: userInput.height, format: userInput.format },
+                clothingImage: { width: clothingInput.width, height: clothingInput.height, format: clothingInput.format }
+            };
+
+            // Çıktının girdilerden biriyle aynı olmadığı kontrolü için (gönderilen ve orijinal dosyalar)
+            const inputDigests = await digestFiles([userInput.path, clothingInput.path, userImagePath, clothingImagePath]);
+
+            const deferred = Boolean(options.deferred && api.createPrediction);
+            const prompt = options.prompt || await resolvePrompt(apiName, category, options.style);
+            const result = await this.callProvider(
+                apiName,
+                userInput.path,
+                clothingInput.path,
+                category,
+                { ...options, deferred, prompt, params, inputDigests },
+                inputs
+            );
+
+            if (deferred) {
+                return { prediction: { ...result, inputDigests }, inputs, prompt, params };
+            }
+
+            return { result: result.url, output: result, inputs, prompt, params };
+
+        } finally {
+            for (const file of preparedFiles) {
+                await fs.unlink(file).catch(() => {});
+            }
+        }
+    }
+
+    /**
+     * Provider çağrısı: timeout (AbortController) + geçici hatalarda backoff ile tekrar deneme
+     * Sonuç indirilip doğrulanır (outputValidator); geçersiz çıktı başarısız deneme sayılır
+     * Her deneme circuit breaker'a ve options.attempts dizisine (verilmişse) yazılır
+     * options.deferred: webhook'lu prediction oluşturulur; başarılı oluşturma circuit'e yazılmaz,
+     * sonuç webhook geldiğinde kaydedilir (süre prediction'ın toplam süresidir).
+     * Half-open deneme hakkı oluşturma anında bırakılır; webhook hiç gelmezse circuit kilitli kalmaz
+     * @param {object} inputs - Provider'a gönderilen görsel boyutları (event için)
+     * @returns {Promise<object>} Doğrulanmış çıktı ({ url, buffer, contentType, ... }) veya prediction
+     */
+    async callProvider(apiName, userImagePath, clothingImagePath, category, options, inputs) {
+        const onProgress = options.onProgress || (() => {});
+        const api = this.registry.getProvider(apiName);
+        const config = this.registry.getProviderSettings(apiName);
+        const breaker = getCircuitBreaker(apiName);
+        const timeoutMs = config.timeout || apiSelectionStrategy.timeout;
+        const maxAttempts = apiSelectionStrategy.maxRetries + 1;
+
+        for (let attempt = 1; ; attempt++) {
+            if (!breaker.tryAcquire()) {
+                throw new Error(`API ${apiName} is temporarily unavailable (circuit ${breaker.state})`);
+            }
+
+            const startedAt = new Date();
+            onProgress(STAGES.PROVIDER_CALLED, { api: apiName, attempt, inputs });
+
+            try {
+                const invoke = options.deferred ? api.createPrediction : api.processVirtualTryOn;
+                const result = await callWithTimeout(
+                    async signal => {
+                        const value = await invoke(userImagePath, clothingImagePath, category, {
+                            signal,
+                            prompt: options.prompt,
+                            params: options.params,
+                            garmentMetadata: options.garmentMetadata
+                        });
+
+                        // Sonuç aynı timeout içinde indirilip doğrulanır
+                        return options.deferred
+                            ? value
+                            : validateProviderOutput(value, options.inputDigests, { signal });
+                    },
+                    timeoutMs
+                );
+                const durationMs = Date.now() - startedAt.getTime();
+
+                if (options.deferred) {
+                    breaker.releaseTrial();
+                    options.attempts?.push({
+                        api: apiName,
+                        category,
+                        attempt,
+                        status: 'submitted',
+                        durationMs,
+                        startedAt,
+                        predictionId: result.predictionId
+                    });
+                    onProgress(STAGES.PREDICTION_CREATED, { api: apiName, attempt, predictionId: result.predictionId });
+                    return result;
+                }
+
+                breaker.recordSuccess(durationMs);
+                options.attempts?.push({ api: apiName, category, attempt, status: 'succeeded', durationMs, startedAt });
+                onProgress(STAGES.PROVIDER_COMPLETED, {
+                    api: apiName,
+                    attempt,
+                    durationMs,
+                    output: { width: result.width, height: result.height, format: result.extension }
+                });
+
+                return result;
+
+            } catch (error) {
+                const durationMs = Date.now() - startedAt.getTime();
+                const retryable = isRetryableError(error);
+                const httpStatus = getErrorStatus(error);
+
+                // 4xx (429 hariç) isteğin hatasıdır; provider ayakta olduğu için circuit'e yazılmaz
+                if (httpStatus && httpStatus < 500 && httpStatus !== 429) {
+                    breaker.recordSuccess(durationMs);
+                } else {
+                    breaker.recordFailure(durationMs, error);
+                }
+
+                options.attempts?.push({
+                    api: apiName,
+                    category,
+                    attempt,
+                    status: 'failed',
+                    durationMs,
+                    startedAt,
+                    error: error.message,
+                    httpStatus,
+                    retryable
+                });
+
+                if (!retryable || attempt >= maxAttempts) {
+                    throw error;
+                }
+
+                const delayMs = getBackoffDelay(attempt);
+                console.warn(`🔁 ${apiName} attempt ${attempt}/${maxAttempts} failed (${error.message}), retrying in ${delayMs}ms`);
+                onProgress(STAGES.PROVIDER_RETRY, { api: apiName, attempt, delayMs, reason: error.message });
+                await sleep(delayMs);
+            }
+        }
     }
 
     /**
      * Otomatik API seçimi ve işleme
+     * @param {object} options - { onProgress(stage, data), routingPolicy, attempts, experiment, deferred, style,
+     *                          params, preferredApi }
+     *                          experiment: { experimentId, variantId, provider, style, prompt, params }
+     *                          params: istekteki parametreler, preferredApi için doğrulanmıştır
      */
-    async autoProcess(userImagePath, clothingImagePath, category) {
-        const selectedApi = this.selectBestApi(category);
+    async autoProcess(userImagePath, clothingImagePath, category, options = {}) {
+        const onProgress = options.onProgress || (() => {});
+        const policy = options.routingPolicy || 'priority';
+        const { experiment, preferredApi, params, ...processOptions } = options;
+        const preferred = experiment?.provider || preferredApi;
+        let [selectedApi, ...fallbackApis] = await this.rankApis(category, policy);
+
+        // Experiment variant'ının (veya params'ın doğrulandığı) provider kullanılabilirse öne alınır;
+        // variant prompt'u ve parametreler sadece o provider'a gönderilir, fallback'ler varsayılanlarla çalışır
+        if (preferred && preferred !== selectedApi && fallbackApis.includes(preferred)) {
+            fallbackApis = [selectedApi, ...fallbackApis.filter(api => api !== preferred)];
+            selectedApi = preferred;
+        }
+
+        let variantOptions = processOptions;
+        if (experiment?.provider === selectedApi) {
+            // Variant prompt override etmiyorsa processWithApi yayındaki template'i variant stiliyle çözer
+            variantOptions = {
+                ...processOptions,
+                style: experiment.style,
+                prompt: experiment.prompt || undefined,
+                params: experiment.params
+            };
+        } else if (preferredApi === selectedApi) {
+            variantOptions = { ...processOptions, params };
+        }
+
+        onProgress(STAGES.PROVIDER_SELECTED, {
+            api: selectedApi,
+            category,
+            policy,
+            ...(experiment && { experiment: experiment.experimentId, variant: experiment.variantId })
+        });
         
         try {
-            const result = await this.processWithApi(
+            const { result, output, prediction, inputs, prompt, params: effectiveParams } = await this.processWithApi(
                 selectedApi, 
                 userImagePath, 
                 clothingImagePath, 
-                category
+                category,
+                variantOptions
             );
             
             return {
                 success: true,
                 usedApi: selectedApi,
-                result: result
+                result: result,
+                output,
+                prediction,
+                inputs,
+                prompt,
+                params: effectiveParams
             };
             
         } catch (error) {
             console.error(`❌ ${selectedApi} failed:`, error.message);
             
-            // Fallback: Diğer aktif API'leri dene
-            const activeApis = this.getActiveApis().filter(api => api !== selectedApi);
+            // Fallback: Circuit'i açık olmayan diğer API'leri policy sırasıyla dene
+            const activeApis = fallbackApis.filter(api => getCircuitBreaker(api).isAvailable());
             
             for (const fallbackApi of activeApis) {
                 console.log(`🔄 Trying fallback API: ${fallbackApi}`);
+                onProgress(STAGES.FALLBACK_TRIGGERED, {
+                    failedApi: selectedApi,
+                    api: fallbackApi,
+                    reason: error.message
+                });
                 try {
-                    const result = await this.processWithApi(
+                    const { result, output, prediction, inputs, prompt, params: effectiveParams } = await this.processWithApi(
                         fallbackApi,
                         userImagePath,
                         clothingImagePath,
-                        category
+                        category,
+                        processOptions
                     );
                     
                     return {
                         success: true,
                         usedApi: fallbackApi,
                         result: result,
+                        output,
+                        prediction,
+                        inputs,
+                        prompt,
+                        params: effectiveParams,
                         fallback: true
                     };
                     
@@ -128,15 +393,105 @@ class ApiManager {
     }
 
     /**
-     * API sağlık kontrolü
+     * Outfit modu: kıyafetleri sırayla uygula
+     * Her adımın sonucu indirilip bir sonraki adımın kişi görseli olarak kullanılır
+     * @param {string} userImagePath - Kişi fotoğrafı
+     * @param {array} garments - [{ path, category }] uygulama sırasıyla
+     * @param {object} options - { onProgress, requestedApi }
+     * @returns {Promise<object>} { success, usedApi, result, output, fallback, steps }
+     */
+    async processOutfit(userImagePath, garments, options = {}) {
+        const onProgress = options.onProgress || (() => {});
+        const steps = [];
+        const intermediateFiles = [];
+        let personImagePath = userImagePath;
+        let lastOutput;
+
+        try {
+            for (const [index, garment] of garments.entries()) {
+                console.log(`👗 Outfit step ${index + 1}/${garments.length}: ${garment.category}`);
+                onProgress(STAGES.OUTFIT_STEP_STARTED, {
+                    step: index + 1,
+                    totalSteps: garments.length,
+                    category: garment.category
+                });
+
+                const stepStart = Date.now();
+                let stepResult;
+
+                if (options.requestedApi && this.registry.supportsCategory(options.requestedApi, garment.category)) {
+                    stepResult = await this.processWithSpecificApi(
+                        options.requestedApi,
+                        personImagePath,
+                        garment.path,
+                        garment.category,
+                        options
+                    );
+                } else {
+                    stepResult = await this.autoProcess(personImagePath, garment.path, garment.category, options);
+                }
+
+                steps.push({
+                    step: index + 1,
+                    category: garment.category,
+                    usedApi: stepResult.usedApi,
+                    fallback: stepResult.fallback || false,
+                    // Provider URL'leri geçicidir; ara sonuç tryOnService'te storage'a kaydedilir
+                    output: stepResult.output,
+                    inputs: stepResult.inputs,
+                    prompt: stepResult.prompt,
+                    params: stepResult.params,
+                    durationMs: Date.now() - stepStart
+                });
+
+                onProgress(STAGES.OUTFIT_STEP_COMPLETED, {
+                    step: index + 1,
+                    totalSteps: garments.length,
+                    category: garment.category,
+                    api: stepResult.usedApi
+                });
+
+                // Son adım değilse doğrulanmış sonuç → sonraki adımın kişi görseli
+                if (index < garments.length - 1) {
+                    const nextPersonPath = path.join('uploads', `outfit-step-${index + 1}-${uuidv4()}.${stepResult.output.extension}`);
+                    await fs.writeFile(nextPersonPath, stepResult.output.buffer);
+                    intermediateFiles.push(nextPersonPath);
+                    personImagePath = nextPersonPath;
+                }
+                lastOutput = stepResult.output;
+            }
+        } finally {
+            for (const file of intermediateFiles) {
+                await fs.unlink(file).catch(() => {});
+            }
+        }
+
+        const lastStep = steps[steps.length - 1];
+
+        return {
+            success: true,
+            usedApi: lastStep.usedApi,
+            result: lastOutput.url,
+            output: lastOutput,
+            fallback: steps.some(step => step.fallback),
+            inputs: lastStep.inputs,
+            prompt: lastStep.prompt,
+            params: lastStep.params,
+            steps
+        };
+    }
+
+    /**
+     * API sağlık kontrolü (circuit breaker durumu ve rolling istatistikler dahil)
      */
     async healthCheck() {
         const results = {};
         
-        for (const [apiName, api] of Object.entries(this.apis)) {
-            const config = apiConfig[apiName];
+        for (const apiName of this.registry.getProviderNames()) {
+            const api = this.registry.getProvider(apiName);
+            const config = this.registry.getProviderSettings(apiName);
             
-            if (!config || !config.enabled) {
+            if (!config.enabled) {
                 results[apiName] = {
                     status: 'disabled',
                     message: 'API is disabled in config'
@@ -162,6 +517,8 @@ class ApiManager {
                     message: error.message
                 };
             }
+
+            results[apiName].circuit = getCircuitBreaker(apiName).getStats();
         }
         
         return results;
@@ -171,15 +528,34 @@ class ApiManager {
      * Belirli bir API ile manuel işlem
      * Frontend'den API seçimi yapılırsa kullanılır
      */
-    async processWithSpecificApi(apiName, userImagePath, clothingImagePath, category) {
+    async processWithSpecificApi(apiName, userImagePath, clothingImagePath, category, options = {}) {
         console.log(`🎯 Manual API selection: ${apiName}`);
         
-        const config = apiConfig[apiName];
+        const config = this.registry.getProviderSettings(apiName);
         if (!config || !config.enabled) {
             throw new Error(`API ${apiName} is not enabled`);
         }
+
+        if (config.draining) {
+            throw new Error(`API ${apiName} is draining and not accepting new requests`);
+        }
+        
+        if (options.onProgress) {
+            options.onProgress(STAGES.PROVIDER_SELECTED, { api: apiName, category, manual: true });
+        }
+        
+        const { result, output, prediction, inputs, prompt, params } = await this.processWithApi(apiName, userImagePath, clothingImagePath, category, options);
         
-        return await this.processWithApi(apiName, userImagePath, clothingImagePath, category);
+        return {
+            success: true,
+            usedApi: apiName,
+            result: result,
+            output,
+            prediction,
+            inputs,
+            prompt,
+            params
+        };
     }
 }
 
@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+
+/**
+ * Admin endpoint'leri için middleware
+ * İstek `Authorization: Bearer <ADMIN_API_KEY>` header'ı taşımalı
+ */
+function requireAdmin(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+
+  if (!adminKey) {
+    return res.status(503).json({
+      success: false,
+      error: 'Admin API is not configured',
+      code: 'ADMIN_DISABLED'
+    });
+  }
+
+  const header = req.get('authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+
+  const expected = crypto.createHash('sha256').update(adminKey).digest();
+  const provided = crypto.createHash('sha256').update(token).digest();
+
+  if (!token || !crypto.timingSafeEqual(expected, provided)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Admin authorization required',
+      code: 'ADMIN_UNAUTHORIZED'
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  requireAdmin
+};
@@ -0,0 +1,379 @@
+const { supabaseAdmin } = require('../../config/supabase');
+
+// Eşzamanlı güncellemede (compare-and-swap başarısız) tekrar deneme sayısı
+const MAX_CAS_ATTEMPTS = 5;
+
+/**
+ * Credit history kaydı ekle
+ */
+async function logCreditHistory(userId, entry) {
+  const { error } = await supabaseAdmin
+    .from('credit_history')
+    .insert({
+      user_id: userId,
+      amount: entry.amount,
+      balance_before: entry.balance_before,
+      balance_after: entry.balance_after,
+      reason: entry.reason,
+      generation_id: entry.generation_id
+    });
+
+  if (error) {
+    console.error('Credit history insert error:', error);
+  }
+}
+
+/**
+ * Koşullu güncelleme: sadece okunan değer hâlâ aynıysa yaz (compare-and-swap)
+ * Eşzamanlı bir istek değeri değiştirdiyse hiçbir satır güncellenmez ve null döner
+ */
+async function compareAndSwap(userId, column, expected, next) {
+  const { data, error } = await supabaseAdmin
+    .from('users')
+    .update({ [column]: next })
+    .eq('id', userId)
+    .eq(column, expected)
+    .select('credits, free_trials_used, free_trials_limit')
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return data;
+}
+
+/**
+ * Generation'ın credit_status'unu sadece hâlâ beklenen durumdaysa değiştir
+ * Aynı rezervasyonun iki kez commit/release edilmesini engeller: commit / release önce
+ * 'reserved' → 'committing' / 'releasing' ile rezervasyonu sahiplenir, bakiye işlemi başarılı
+ * olduktan sonra son duruma geçer; bakiye işlemi başarısızsa 'reserved'e döner (tekrar denenebilir)
+ */
+async function settleGeneration(generationId, updates, expectedStatus = 'reserved') {
+  const { data, error } = await supabaseAdmin
+    .from('generations')
+    .update(updates)
+    .eq('id', generationId)
+    .eq('credit_status', expectedStatus)
+    .select('id')
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return !!data;
+}
+
+/**
+ * Sahiplenilmiş rezervasyonun durumunu yaz (son durum veya bakiye işlemi başarısızsa tekrar 'reserved')
+ * Bakiye işlemi zaten sonuçlandığı için hata fırlatılmaz, loglanır
+ */
+async function finishSettlement(generationId, claimedStatus, updates) {
+  try {
+    const settled = await settleGeneration(generationId, updates, claimedStatus);
+    if (!settled) {
+      console.warn(`⚠️ Reservation for ${generationId} is no longer ${claimedStatus}`);
+    }
+  } catch (error) {
+    console.error(`Reservation status update error (${generationId}):`, error);
+  }
+}
+
+/**
+ * Rezerve edilen free trial'ı veya credit'i kullanıcıya geri ver (compare-and-swap)
+ * @param {object} refund - { type: 'free_trial' | 'credits', amount, reason }
+ * @returns {Promise<object>} Güncel users satırı (credits, free_trials_used, free_trials_limit)
+ */
+async function restoreBalance(userId, generationId, { type, amount, reason }) {
+  const column = type === 'free_trial' ? 'free_trials_used' : 'credits';
+
+  for (let attempt = 1; attempt <= MAX_CAS_ATTEMPTS; attempt++) {
+    const { data: user } = await supabaseAdmin
+      .from('users')
+      .select('credits, free_trials_used, free_trials_limit')
+      .eq('id', userId)
+      .single();
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const next = type === 'free_trial'
+      ? Math.max(0, user.free_trials_used - 1)
+      : user.credits + amount;
+
+    const updated = await compareAndSwap(userId, column, user[column], next);
+
+    if (!updated) {
+      console.warn(`⚠️ Concurrent credit update detected, retrying refund (${attempt}/${MAX_CAS_ATTEMPTS})`);
+      continue;
+    }
+
+    await logCreditHistory(userId, {
+      amount: type === 'free_trial' ? 0 : amount,
+      balance_before: user.credits,
+      balance_after: updated.credits,
+      reason,
+      generation_id: generationId
+    });
+
+    return updated;
+  }
+
+  throw new Error('Credit refund failed due to concurrent updates');
+}
+
+/**
+ * Generation için free trial veya credit rezerve et (AI çağrısından ÖNCE)
+ * Free trial varsa önce o kullanılır; yoksa credit düşülür.
+ * Rezervasyon generation'a yazılamazsa düşülen bakiye geri verilir (commit / release edilemeyen rezervasyon kalmaz)
+ * @param {string} userId
+ * @param {string} generationId - Rezervasyonun bağlı olduğu generation
+ * @param {number} amount - Credit miktarı (free trial sadece amount = 1 için geçerli)
+ * @returns {Promise<object>} { success, reservation } veya { success: false, code }
+ */
+async function reserveCredits(userId, generationId, amount = 1) {
+  try {
+    for (let attempt = 1; attempt <= MAX_CAS_ATTEMPTS; attempt++) {
+      const { data: user } = await supabaseAdmin
+        .from('users')
+        .select('credits, free_trials_used, free_trials_limit')
+        .eq('id', userId)
+        .single();
+
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      const canUseFreeTrial = amount === 1 && user.free_trials_used < user.free_trials_limit;
+      let updated;
+      let type;
+
+      if (canUseFreeTrial) {
+        type = 'free_trial';
+        updated = await compareAndSwap(userId, 'free_trials_used', user.free_trials_used, user.free_trials_used + 1);
+      } else if (user.credits >= amount) {
+        type = 'credits';
+        updated = await compareAndSwap(userId, 'credits', user.credits, user.credits - amount);
+      } else {
+        return {
+          success: false,
+          error: 'No free trials or credits remaining',
+          code: 'NO_CREDITS'
+        };
+      }
+
+      if (!updated) {
+        console.warn(`⚠️ Concurrent credit update detected, retrying (${attempt}/${MAX_CAS_ATTEMPTS})`);
+        continue;
+      }
+
+      const creditsReserved = type === 'credits' ? amount : 0;
+
+      await logCreditHistory(userId, {
+        amount: -creditsReserved,
+        balance_before: user.credits,
+        balance_after: updated.credits,
+        reason: type === 'free_trial' ? 'free_trial_reserved' : 'generation_reserved',
+        generation_id: generationId
+      });
+
+      const { error: reserveError } = await supabaseAdmin
+        .from('generations')
+        .update({
+          credit_status: 'reserved',
+          credits_used: creditsReserved,
+          was_free_trial: type === 'free_trial'
+        })
+        .eq('id', generationId);
+
+      if (reserveError) {
+        await restoreBalance(userId, generationId, {
+          type,
+          amount: creditsReserved,
+          reason: 'reservation_rolled_back'
+        });
+        throw new Error(`Reservation could not be recorded: ${reserveError.message}`);
+      }
+
+      return {
+        success: true,
+        reservation: {
+          userId,
+          generationId,
+          type,
+          amount: creditsReserved,
+          creditsRemaining: updated.credits,
+          freeTrialsRemaining: updated.free_trials_limit - updated.free_trials_used
+        }
+      };
+    }
+
+    throw new Error('Credit reservation failed due to concurrent updates');
+
+  } catch (error) {
+    console.error('Reserve credits error:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Rezervasyonu kesinleştir (AI işlemi başarılı)
+ * @param {object} reservation - reserveCredits sonucu
+ * @param {number} [usedAmount] - Kullanılan credit (varsayılan: tamamı); azsa fark iade edilir
+ *                                (ör. variant'ların bir kısmı başarısız)
+ * @returns {Promise<object>} { success, creditsRemaining, creditsUsed }
+ */
+async function commitReservation(reservation, usedAmount = reservation.amount) {
+  try {
+    const { userId, generationId, type, amount } = reservation;
+    const creditsUsed = type === 'credits' ? Math.min(usedAmount, amount) : 0;
+    let { creditsRemaining } = reservation;
+
+    const claimed = await settleGeneration(generationId, { credit_status: 'committing' });
+
+    if (!claimed) {
+      console.warn(`⚠️ Reservation for ${generationId} already settled, skipping commit`);
+      // Önceki settlement'ın generation'a yazdığı değer esas alınır (iade edildiyse 0)
+      const { data: settled } = await supabaseAdmin
+        .from('generations')
+        .select('credits_used')
+        .eq('id', generationId)
+        .maybeSingle();
+
+      return { success: true, skipped: true, creditsRemaining, creditsUsed: settled?.credits_used ?? creditsUsed };
+    }
+
+    if (type === 'credits' && creditsUsed < amount) {
+      try {
+        const updated = await restoreBalance(userId, generationId, {
+          type,
+          amount: amount - creditsUsed,
+          reason: 'generation_partially_refunded'
+        });
+        creditsRemaining = updated.credits;
+      } catch (error) {
+        await finishSettlement(generationId, 'committing', { credit_status: 'reserved' });
+        throw error;
+      }
+    }
+
+    await finishSettlement(generationId, 'committing', {
+      credit_status: 'committed',
+      credits_used: creditsUsed
+    });
+
+    await logCreditHistory(userId, {
+      amount: 0,
+      balance_before: creditsRemaining,
+      balance_after: creditsRemaining,
+      reason: type === 'free_trial' ? 'free_trial_used' : 'generation_used',
+      generation_id: generationId
+    });
+
+    return { success: true, creditsRemaining, creditsUsed };
+
+  } catch (error) {
+    console.error('Commit reservation error:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Rezervasyonu iade et (AI işlemi veya sonraki adımlar başarısız)
+ * Bakiye iade edilemezse rezervasyon 'reserved' kalır ve tekrar iade edilebilir
+ */
+async function releaseReservation(reservation, reason = 'generation_failed') {
+  try {
+    const { userId, generationId, type, amount } = reservation;
+
+    const claimed = await settleGeneration(generationId, { credit_status: 'releasing' });
+
+    if (!claimed) {
+      console.warn(`⚠️ Reservation for ${generationId} already settled, skipping release`);
+      return { success: true, skipped: true };
+    }
+
+    let updated;
+    try {
+      updated = await restoreBalance(userId, generationId, {
+        type,
+        amount,
+        reason: type === 'free_trial' ? 'free_trial_released' : 'generation_refunded'
+      });
+    } catch (error) {
+      await finishSettlement(generationId, 'releasing', { credit_status: 'reserved' });
+      throw error;
+    }
+
+    await finishSettlement(generationId, 'releasing', {
+      credit_status: 'released',
+      credits_used: 0,
+      was_free_trial: false
+    });
+
+    console.log(`↩️ Reservation released (${reason}): ${type === 'free_trial' ? 'free trial' : `${amount} credit`}`);
+
+    return {
+      success: true,
+      creditsRemaining: updated.credits,
+      freeTrialsRemaining: updated.free_trials_limit - updated.free_trials_used
+    };
+
+  } catch (error) {
+    console.error('Release reservation error:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Generation kaydına yazılmış rezervasyonu oku (webhook ile tamamlanan işlemler için)
+ * reserveCredits rezervasyon bilgisini generation'a yazar; süreç yeniden başlasa da commit / iade edilebilir
+ * @param {object} generation - generations satırı (user_id, credits_used, was_free_trial)
+ * @returns {Promise<object>} { success, reservation } veya { success: false, error }
+ */
+async function getGenerationReservation(generation) {
+  try {
+    const { data: user } = await supabaseAdmin
+      .from('users')
+      .select('credits, free_trials_used, free_trials_limit')
+      .eq('id', generation.user_id)
+      .single();
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    return {
+      success: true,
+      reservation: {
+        userId: generation.user_id,
+        generationId: generation.id,
+        type: generation.was_free_trial ? 'free_trial' : 'credits',
+        amount: generation.credits_used || 0,
+        creditsRemaining: user.credits,
+        freeTrialsRemaining: user.free_trials_limit - user.free_trials_used
+      }
+    };
+
+  } catch (error) {
+    console.error('Get generation reservation error:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+module.exports = {
+  reserveCredits,
+  commitReservation,
+  releaseReservation,
+  getGenerationReservation
+};
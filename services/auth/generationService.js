@@ -1,51 +1,129 @@
 const { supabaseAdmin } = require('../../config/supabase');
 
 /**
- * Yeni generation kaydı oluştur
+ * User'ın total_generations sayısını artır
  */
-async function createGeneration(userId, generationData) {
+async function incrementUserGenerations(userId) {
+  const { data: currentUser } = await supabaseAdmin
+    .from('users')
+    .select('total_generations')
+    .eq('id', userId)
+    .single();
+
+  await supabaseAdmin
+    .from('users')
+    .update({ 
+      total_generations: (currentUser?.total_generations || 0) + 1,
+      last_generation_at: new Date().toISOString()
+    })
+    .eq('id', userId);
+}
+
+/**
+ * İşlem başlamadan önce generation kaydı oluştur (queued / processing)
+ * Job modunda bu kaydın id'si jobId olarak döner
+ */
+async function createPendingGeneration(userId, generationData) {
   try {
     const { data, error } = await supabaseAdmin
       .from('generations')
       .insert({
         user_id: userId,
         category: generationData.category,
-        api_used: generationData.api_used || 'nano-banana',
+        api_used: generationData.api_used,
         person_image_url: generationData.person_image_url,
         garment_image_url: generationData.garment_image_url,
+        status: generationData.status || 'queued',
+        garment_metadata: generationData.garment_metadata || null,
+        variants: generationData.variants || 1,
+        credits_used: 0,
+        was_free_trial: false
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return {
+      success: true,
+      generation: data
+    };
+  } catch (error) {
+    console.error('Create pending generation error:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Generation durumunu güncelle (queued → processing → completed / failed)
+ */
+async function updateGenerationStatus(generationId, status, updates = {}) {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('generations')
+      .update({
+        ...updates,
+        status
+      })
+      .eq('id', generationId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return {
+      success: true,
+      generation: data
+    };
+  } catch (error) {
+    console.error('Update generation status error:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Mevcut (pending) generation kaydını tamamla
+ */
+async function completeGeneration(userId, generationId, generationData) {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('generations')
+      .update({
+        api_used: generationData.api_used,
         result_image_url: generationData.result_image_url,
         status: 'completed',
         credits_used: generationData.credits_used || 0,
         was_free_trial: generationData.was_free_trial || false,
         processing_time_seconds: generationData.processing_time_seconds,
+        routing_policy: generationData.routing_policy,
+        prompt_template_id: generationData.prompt_template_id,
+        prompt_version: generationData.prompt_version,
+        prompt_style: generationData.prompt_style,
+        params: generationData.params,
+        selected_variant: generationData.selected_variant ?? null,
+        cache_hit: generationData.cache_hit || false,
         completed_at: new Date().toISOString()
       })
+      .eq('id', generationId)
       .select()
       .single();
 
     if (error) throw error;
 
-    // ✅ User'ın total_generations sayısını artır (DÜZELTİLDİ)
-    const { data: currentUser } = await supabaseAdmin
-      .from('users')
-      .select('total_generations')
-      .eq('id', userId)
-      .single();
-
-    await supabaseAdmin
-      .from('users')
-      .update({ 
-        total_generations: (currentUser?.total_generations || 0) + 1,
-        last_generation_at: new Date().toISOString()
-      })
-      .eq('id', userId);
+    await incrementUserGenerations(userId);
 
     return {
       success: true,
       generation: data
     };
   } catch (error) {
-    console.error('Create generation error:', error);
+    console.error('Complete generation error:', error);
     return {
       success: false,
       error: error.message
@@ -54,22 +132,128 @@ async function createGeneration(userId, generationData) {
 }
 
 /**
- * User generation geçmişini getir
+ * Outfit gibi çok adımlı generation'ların alt adımlarını kaydet
  */
-async function getUserGenerations(userId, limit = 10) {
+async function addGenerationSteps(generationId, steps) {
   try {
     const { data, error } = await supabaseAdmin
-      .from('generations')
+      .from('generation_steps')
+      .insert(steps.map(step => ({
+        generation_id: generationId,
+        step_index: step.step,
+        category: step.category,
+        api_used: step.usedApi,
+        garment_image_url: step.garmentImageUrl,
+        result_image_url: step.resultKey,
+        fallback: step.fallback,
+        params: step.params,
+        duration_ms: step.durationMs
+      })))
+      .select();
+
+    if (error) throw error;
+
+    return {
+      success: true,
+      steps: data
+    };
+  } catch (error) {
+    console.error('Add generation steps error:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Provider çağrı denemelerini kaydet (retry ve fallback dahil her deneme bir satır)
+ */
+async function addGenerationAttempts(generationId, attempts) {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('generation_attempts')
+      .insert(attempts.map(attempt => ({
+        generation_id: generationId,
+        api_used: attempt.api,
+        category: attempt.category,
+        attempt_number: attempt.attempt,
+        status: attempt.status,
+        error_message: attempt.error || null,
+        http_status: attempt.httpStatus || null,
+        retryable: attempt.retryable || false,
+        duration_ms: attempt.durationMs,
+        prediction_id: attempt.predictionId || null,
+        started_at: attempt.startedAt.toISOString()
+      })))
+      .select();
+
+    if (error) throw error;
+
+    return {
+      success: true,
+      attempts: data
+    };
+  } catch (error) {
+    console.error('Add generation attempts error:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Çoklu variant isteğinin aday sonuçlarını kaydet (başarısız variant'lar dahil)
+ * @param {array} candidates - [{ variant, status, usedApi, resultKey, params, selected, error }]
+ */
+async function addGenerationCandidates(generationId, candidates) {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('generation_candidates')
+      .insert(candidates.map(candidate => ({
+        generation_id: generationId,
+        variant_index: candidate.variant,
+        status: candidate.status,
+        api_used: candidate.usedApi || null,
+        result_image_url: candidate.resultKey || null,
+        params: candidate.params || null,
+        is_selected: candidate.selected || false,
+        error_message: candidate.error || null
+      })))
+      .select();
+
+    if (error) throw error;
+
+    return {
+      success: true,
+      candidates: data
+    };
+  } catch (error) {
+    console.error('Add generation candidates error:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Generation'ın aday sonuçları (variant sırasıyla)
+ */
+async function getGenerationCandidates(generationId) {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('generation_candidates')
       .select('*')
-      .eq('user_id', userId)
-      .order('created_at', { ascending: false })
-      .limit(limit);
+      .eq('generation_id', generationId)
+      .order('variant_index', { ascending: true });
 
     if (error) throw error;
 
     return {
       success: true,
-      generations: data
+      candidates: data
     };
   } catch (error) {
     return {
@@ -80,47 +264,73 @@ async function getUserGenerations(userId, limit = 10) {
 }
 
 /**
- * Free trial kullan ve generation oluştur
+ * Kullanıcının seçtiği adayı generation'ın ana sonucu yap
+ * @returns {Promise<object>} { success, generation, candidate } veya { success: false, error, code }
  */
-async function useFreeTrial(userId, generationData) {
+async function selectGenerationCandidate(userId, generationId, variantIndex) {
   try {
-    // User bilgilerini al
-    const { data: user } = await supabaseAdmin
-      .from('users')
-      .select('free_trials_used, free_trials_limit')
-      .eq('id', userId)
-      .single();
+    const { data: generation, error: generationError } = await supabaseAdmin
+      .from('generations')
+      .select('id, status')
+      .eq('id', generationId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (generationError) throw generationError;
 
-    if (!user) {
-      throw new Error('User not found');
+    if (!generation || generation.status !== 'completed') {
+      return { success: false, error: 'Completed generation not found', code: 'GENERATION_NOT_FOUND' };
     }
 
-    if (user.free_trials_used >= user.free_trials_limit) {
-      return {
-        success: false,
-        error: 'No free trials remaining',
-        code: 'NO_FREE_TRIALS'
-      };
+    const { data: candidate, error: candidateError } = await supabaseAdmin
+      .from('generation_candidates')
+      .select('*')
+      .eq('generation_id', generationId)
+      .eq('variant_index', variantIndex)
+      .eq('status', 'completed')
+      .maybeSingle();
+
+    if (candidateError) throw candidateError;
+
+    if (!candidate) {
+      return { success: false, error: `Candidate ${variantIndex} not found`, code: 'CANDIDATE_NOT_FOUND' };
     }
 
-    // Free trial sayısını artır
-    await supabaseAdmin
-      .from('users')
-      .update({ 
-        free_trials_used: user.free_trials_used + 1
-      })
-      .eq('id', userId);
+    const { error: resetError } = await supabaseAdmin
+      .from('generation_candidates')
+      .update({ is_selected: false })
+      .eq('generation_id', generationId);
+
+    if (resetError) throw resetError;
 
-    // Generation kaydı oluştur
-    const result = await createGeneration(userId, {
-      ...generationData,
-      credits_used: 0,
-      was_free_trial: true
-    });
+    const { error: selectError } = await supabaseAdmin
+      .from('generation_candidates')
+      .update({ is_selected: true })
+      .eq('id', candidate.id);
+
+    if (selectError) throw selectError;
+
+    const { data: updated, error: updateError } = await supabaseAdmin
+      .from('generations')
+      .update({
+        result_image_url: candidate.result_image_url,
+        api_used: candidate.api_used,
+        params: candidate.params,
+        selected_variant: variantIndex
+      })
+      .eq('id', generationId)
+      .select()
+      .single();
 
-    return result;
+    if (updateError) throw updateError;
 
+    return {
+      success: true,
+      generation: updated,
+      candidate: { ...candidate, is_selected: true }
+    };
   } catch (error) {
+    console.error('Select generation candidate error:', error);
     return {
       success: false,
       error: error.message
@@ -129,59 +339,106 @@ async function useFreeTrial(userId, generationData) {
 }
 
 /**
- * Credits ile generation oluştur
+ * Tek bir generation kaydını getir
+ * @param {string} [userId] - Verilirse sadece bu kullanıcının kaydı döner
  */
-async function useCredits(userId, generationData, creditsToUse = 1) {
+async function getGenerationById(generationId, userId) {
   try {
-    // User bilgilerini al
-    const { data: user } = await supabaseAdmin
-      .from('users')
-      .select('credits')
-      .eq('id', userId)
-      .single();
+    let query = supabaseAdmin
+      .from('generations')
+      .select('*')
+      .eq('id', generationId);
 
-    if (!user) {
-      throw new Error('User not found');
+    if (userId) {
+      query = query.eq('user_id', userId);
     }
 
-    if (user.credits < creditsToUse) {
-      return {
-        success: false,
-        error: 'Insufficient credits',
-        code: 'INSUFFICIENT_CREDITS'
-      };
-    }
+    const { data, error } = await query.maybeSingle();
 
-    // Credits düş
-    const newBalance = user.credits - creditsToUse;
-    await supabaseAdmin
-      .from('users')
-      .update({ credits: newBalance })
-      .eq('id', userId);
+    if (error) throw error;
 
-    // Credit history kaydet
-    await supabaseAdmin
-      .from('credit_history')
-      .insert({
-        user_id: userId,
-        amount: -creditsToUse,
-        balance_before: user.credits,
-        balance_after: newBalance,
-        reason: 'generation_used'
-      });
+    return {
+      success: true,
+      generation: data
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
 
-    // Generation kaydı oluştur
-    const result = await createGeneration(userId, {
-      ...generationData,
-      credits_used: creditsToUse,
-      was_free_trial: false
-    });
+/**
+ * Replicate prediction id'si ile generation kaydını getir (webhook modu)
+ */
+async function getGenerationByPredictionId(predictionId) {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('generations')
+      .select('*')
+      .eq('prediction_id', predictionId)
+      .maybeSingle();
+
+    if (error) throw error;
 
     return {
-      ...result,
-      credits_remaining: newBalance
+      success: true,
+      generation: data
     };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Belirli bir tarihten önce oluşturulmuş ve hâlâ bitmemiş generation'lar (sunucu açılışındaki kurtarma için)
+ * @param {string[]} statuses - Örn. ['queued', 'processing']
+ * @param {Date} createdBefore
+ */
+async function getStaleGenerations(statuses, createdBefore) {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('generations')
+      .select('*')
+      .in('status', statuses)
+      .lt('created_at', createdBefore.toISOString());
 
+    if (error) throw error;
+
+    return {
+      success: true,
+      generations: data
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * User generation geçmişini getir
+ */
+async function getUserGenerations(userId, limit = 10) {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('generations')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+
+    return {
+      success: true,
+      generations: data
+    };
   } catch (error) {
     return {
       success: false,
@@ -191,8 +448,16 @@ async function useCredits(userId, generationData, creditsToUse = 1) {
 }
 
 module.exports = {
-  createGeneration,
-  getUserGenerations,
-  useFreeTrial,
-  useCredits
+  createPendingGeneration,
+  updateGenerationStatus,
+  completeGeneration,
+  addGenerationSteps,
+  addGenerationAttempts,
+  addGenerationCandidates,
+  getGenerationCandidates,
+  selectGenerationCandidate,
+  getGenerationById,
+  getGenerationByPredictionId,
+  getStaleGenerations,
+  getUserGenerations
 };
\ No newline at end of file
@@ -0,0 +1,214 @@
+// services/circuitBreaker.js
+/**
+ * Provider Circuit Breaker
+ * Her provider için son çağrıların sonucunu ve süresini tutar. Provider art arda hata
+ * verirse circuit açılır ve seçimde atlanır; bekleme süresi dolunca tek bir deneme
+ * isteğine izin verilir (half-open). Deneme başarılıysa circuit kapanır.
+ * Sonucu gelmeyen deneme trialTimeoutMs sonra serbest kalır (circuit half-open'da takılı kalmaz).
+ */
+
+const { circuitBreakerConfig } = require('./apiConfig');
+
+const STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half_open'
+};
+
+const percentile = (sortedValues, ratio) => {
+    if (sortedValues.length === 0) return null;
+    const index = Math.min(sortedValues.length - 1, Math.ceil(ratio * sortedValues.length) - 1);
+    return sortedValues[Math.max(0, index)];
+};
+
+class CircuitBreaker {
+    constructor(name, config = circuitBreakerConfig) {
+        this.name = name;
+        this.config = config;
+        this.state = STATES.CLOSED;
+        this.samples = [];
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.closedAt = 0;
+        this.trialInFlight = false;
+        this.trialStartedAt = null;
+        this.lastError = null;
+        this.totals = { requests: 0, failures: 0 };
+    }
+
+    /**
+     * Provider'a şu an istek gönderilebilir mi? (durumu değiştirmez, seçimde kullanılır)
+     */
+    isAvailable() {
+        if (this.state === STATES.CLOSED) return true;
+        if (this.state === STATES.HALF_OPEN) return !this.trialInFlight || this.isTrialExpired();
+        return Date.now() - this.openedAt >= this.config.openDurationMs;
+    }
+
+    /**
+     * İstek göndermeden önce çağrılır
+     * Open durumda bekleme süresi dolduysa half-open'a geçer ve deneme isteğini ayırır
+     * @returns {boolean} İstek gönderilebilir mi?
+     */
+    tryAcquire() {
+        if (!this.isAvailable()) return false;
+
+        if (this.state === STATES.OPEN) {
+            this.transition(STATES.HALF_OPEN);
+        }
+        if (this.state === STATES.HALF_OPEN) {
+            if (this.trialInFlight) {
+                console.warn(`⚡ Circuit ${this.name}: half-open trial timed out, starting a new one`);
+            }
+            this.trialInFlight = true;
+            this.trialStartedAt = Date.now();
+        }
+
+        return true;
+    }
+
+    /**
+     * Half-open deneme isteği sonuç yazılmadan serbest bırakılır
+     * (webhook modunda prediction oluşturulunca; sonuç webhook'ta recordSuccess / recordFailure ile gelir)
+     */
+    releaseTrial() {
+        if (this.state === STATES.HALF_OPEN) {
+            this.trialInFlight = false;
+        }
+    }
+
+    isTrialExpired() {
+        return Date.now() - this.trialStartedAt >= this.config.trialTimeoutMs;
+    }
+
+    /**
+     * Başarılı provider çağrısı
+     */
+    recordSuccess(durationMs) {
+        this.addSample(true, durationMs);
+        this.consecutiveFailures = 0;
+
+        if (this.state === STATES.HALF_OPEN) {
+            this.trialInFlight = false;
+            this.transition(STATES.CLOSED);
+        }
+    }
+
+    /**
+     * Başarısız provider çağrısı
+     */
+    recordFailure(durationMs, error) {
+        this.addSample(false, durationMs);
+        this.consecutiveFailures++;
+        this.lastError = {
+            message: error?.message,
+            at: new Date().toISOString()
+        };
+
+        if (this.state === STATES.HALF_OPEN) {
+            this.trialInFlight = false;
+            this.open();
+            return;
+        }
+
+        if (this.state === STATES.CLOSED && this.shouldOpen()) {
+            this.open();
+        }
+    }
+
+    shouldOpen() {
+        if (this.consecutiveFailures >= this.config.failureThreshold) return true;
+
+        // Circuit yeniden kapandıktan önceki hatalar tekrar açılmasına sebep olmaz
+        const window = this.getWindow().filter(sample => sample.at >= this.closedAt);
+        if (window.length < this.config.minRequests) return false;
+
+        const failures = window.filter(sample => !sample.success).length;
+        return failures / window.length >= this.config.errorRateThreshold;
+    }
+
+    open() {
+        this.openedAt = Date.now();
+        this.transition(STATES.OPEN);
+    }
+
+    transition(state) {
+        if (this.state === state) return;
+
+        console.log(`⚡ Circuit ${this.name}: ${this.state} → ${state}`);
+        this.state = state;
+
+        if (state === STATES.CLOSED) {
+            this.openedAt = null;
+            this.closedAt = Date.now();
+        }
+    }
+
+    addSample(success, durationMs) {
+        this.totals.requests++;
+        if (!success) this.totals.failures++;
+
+        this.samples.push({ success, durationMs, at: Date.now() });
+        if (this.samples.length > this.config.windowSize) {
+            this.samples.shift();
+        }
+    }
+
+    /**
+     * Rolling pencere: son windowSize çağrıdan windowMs içinde olanlar
+     */
+    getWindow() {
+        const since = Date.now() - this.config.windowMs;
+        return this.samples.filter(sample => sample.at >= since);
+    }
+
+    /**
+     * Durum ve rolling istatistikler (/api/health için)
+     */
+    getStats() {
+        const window = this.getWindow();
+        const failures = window.filter(sample => !sample.success).length;
+        const latencies = window.map(sample => sample.durationMs).sort((a, b) => a - b);
+
+        return {
+            state: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            nextAttemptAt: this.state === STATES.OPEN
+                ? new Date(this.openedAt + this.config.openDurationMs).toISOString()
+                : null,
+            lastError: this.lastError,
+            window: {
+                requests: window.length,
+                failures,
+                errorRate: window.length > 0 ? Math.round((failures / window.length) * 100) / 100 : 0,
+                latencyMs: {
+                    avg: latencies.length > 0
+                        ? Math.round(latencies.reduce((sum, value) => sum + value, 0) / latencies.length)
+                        : null,
+                    p50: percentile(latencies, 0.5),
+                    p95: percentile(latencies, 0.95)
+                }
+            },
+            totals: { ...this.totals }
+        };
+    }
+}
+
+const breakers = new Map();
+
+/**
+ * Provider'ın circuit breaker'ı (ilk kullanımda oluşturulur)
+ */
+const getCircuitBreaker = (name) => {
+    if (!breakers.has(name)) {
+        breakers.set(name, new CircuitBreaker(name));
+    }
+    return breakers.get(name);
+};
+
+module.exports = {
+    CircuitBreaker,
+    getCircuitBreaker,
+    STATES
+};
@@ -0,0 +1,153 @@
+// services/experiments.js
+/**
+ * A/B Experiments
+ * apiConfig.experiments tanımlarına göre kullanıcıyı sabit (sticky) bir variant'a atar;
+ * variant'ın provider'ı, prompt stili / override'ı ve parametreleri ApiManager.autoProcess'e geçirilir.
+ * Variant kategori için promptTemplates tanımlamıyorsa prompt yayındaki prompt_templates
+ * versiyonundan gelir (admin publish / rollback experiment'teki kullanıcılara da uygulanır).
+ * Atama generations.experiment_id / experiment_variant alanlarına yazılır.
+ */
+
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/supabase');
+const { experiments, generatePrompt } = require('./apiConfig');
+
+/**
+ * Kategori için aktif experiment (ilk eşleşen)
+ */
+const getActiveExperiment = (category) => {
+    return experiments.find(experiment =>
+        experiment.active &&
+        (!experiment.categories || experiment.categories.includes(category))
+    ) || null;
+};
+
+/**
+ * Experiment tanımı
+ */
+const getExperiment = (experimentId) => {
+    return experiments.find(experiment => experiment.id === experimentId) || null;
+};
+
+/**
+ * Kullanıcıyı variant'a ata (aynı kullanıcı aynı experiment'te hep aynı variant'ı alır)
+ * experiment id + user id hash'i [0, toplam weight) aralığına eşlenir
+ */
+const assignVariant = (experiment, userId) => {
+    const totalWeight = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+    const hash = crypto.createHash('sha256').update(`${experiment.id}:${userId}`).digest();
+    const point = (hash.readUInt32BE(0) / 0x100000000) * totalWeight;
+
+    let cumulative = 0;
+    for (const variant of experiment.variants) {
+        cumulative += variant.weight;
+        if (point < cumulative) return variant;
+    }
+
+    return experiment.variants[experiment.variants.length - 1];
+};
+
+/**
+ * Generation için experiment ataması
+ * @param {string} userId
+ * @param {string} category
+ * @param {string} [style] - İstekteki prompt stili (verilmezse variant'ın stili)
+ * @returns {object|null} { experimentId, variantId, provider, style, prompt, params }
+ *                        prompt: sadece variant kategori için prompt override ettiyse (templateId / version null),
+ *                        aksi halde null (yayındaki template kullanılır)
+ */
+const resolveExperiment = (userId, category, style) => {
+    const experiment = getActiveExperiment(category);
+    if (!experiment) return null;
+
+    const variant = assignVariant(experiment, userId);
+    const variantStyle = style && style !== 'default' ? style : (variant.style || 'default');
+    const overridesPrompt = Boolean(variant.promptTemplates?.[category]);
+
+    return {
+        experimentId: experiment.id,
+        variantId: variant.id,
+        provider: variant.provider,
+        style: variantStyle,
+        prompt: overridesPrompt
+            ? {
+                ...generatePrompt(category, variantStyle, variant.promptTemplates),
+                templateId: null,
+                version: null,
+                style: variantStyle
+            }
+            : null,
+        params: variant.params || {}
+    };
+};
+
+// ============================================
+// SONUÇLAR
+// ============================================
+
+const average = (values) => values.length > 0
+    ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 100) / 100
+    : null;
+
+/**
+ * Variant bazında success rate, latency ve kullanıcı puanı
+ * Sadece bitmiş (completed / failed) generation'lar sayılır
+ * @param {string} experimentId
+ * @returns {Promise<array>} Variant istatistikleri
+ */
+const getExperimentResults = async (experimentId) => {
+    const experiment = getExperiment(experimentId);
+
+    const { data, error } = await supabaseAdmin
+        .from('generations')
+        .select('experiment_variant, status, api_used, processing_time_seconds, user_rating')
+        .eq('experiment_id', experimentId)
+        .in('status', ['completed', 'failed'])
+        .limit(10000);
+
+    if (error) throw error;
+
+    const variantIds = new Set([
+        ...(experiment ? experiment.variants.map(variant => variant.id) : []),
+        ...data.map(row => row.experiment_variant)
+    ]);
+
+    return [...variantIds].map(variantId => {
+        const rows = data.filter(row => row.experiment_variant === variantId);
+        const completed = rows.filter(row => row.status === 'completed');
+        const ratings = completed.map(row => row.user_rating).filter(rating => rating !== null);
+        const latencies = completed
+            .map(row => row.processing_time_seconds)
+            .filter(seconds => seconds !== null)
+            .sort((a, b) => a - b);
+
+        return {
+            variant: variantId,
+            total: rows.length,
+            completed: completed.length,
+            failed: rows.length - completed.length,
+            successRate: rows.length > 0 ? Math.round((completed.length / rows.length) * 1000) / 1000 : null,
+            latencySeconds: {
+                avg: average(latencies),
+                p50: latencies.length > 0 ? latencies[Math.ceil(latencies.length / 2) - 1] : null
+            },
+            rating: {
+                avg: average(ratings),
+                count: ratings.length
+            },
+            // Fallback'e düşen generation'lar farklı provider ile tamamlanmış olabilir
+            providers: completed.reduce((counts, row) => {
+                counts[row.api_used] = (counts[row.api_used] || 0) + 1;
+                return counts;
+            }, {})
+        };
+    });
+};
+
+module.exports = {
+    getActiveExperiment,
+    getExperiment,
+    assignVariant,
+    resolveExperiment,
+    getExperimentResults
+};
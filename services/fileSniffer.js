@@ -0,0 +1,289 @@
+// services/fileSniffer.js
+/**
+ * Magic-byte Content Sniffing
+ * Client'ın gönderdiği mimetype'a ve dosya uzantısına güvenmek yerine dosyanın gerçek
+ * byte'larından türü tespit eder; görsel olmayan dosyaları ve polyglot'ları reddeder.
+ */
+
+const fs = require('fs').promises;
+const sharp = require('sharp');
+
+/**
+ * Desteklenen görsel türleri ve imzaları
+ */
+const IMAGE_SIGNATURES = [
+    {
+        format: 'jpeg',
+        mime: 'image/jpeg',
+        extension: 'jpg',
+        matches: (buffer) => buffer.length >= 3 &&
+            buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF
+    },
+    {
+        format: 'png',
+        mime: 'image/png',
+        extension: 'png',
+        matches: (buffer) => buffer.length >= 8 &&
+            buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))
+    },
+    {
+        format: 'webp',
+        mime: 'image/webp',
+        extension: 'webp',
+        matches: (buffer) => buffer.length >= 12 &&
+            buffer.toString('latin1', 0, 4) === 'RIFF' &&
+            buffer.toString('latin1', 8, 12) === 'WEBP'
+    }
+];
+
+// Görsel içine gömülmüş script / doküman / arşiv işaretleri (küçük harfle aranır)
+// Sadece metadata segment'lerinde ve JPEG EOI sonrasında aranır; sıkıştırılmış piksel verisi
+// rastgeleye yakın olduğu için büyük fotoğraflarda bu kısa dizilere tesadüfen rastlanır
+const EMBEDDED_MARKERS = ['<?php', '<script', '<html', '<!doctype', '<svg', '<%@', '%pdf-'];
+
+// ZIP polyglot: local file header + end of central directory birlikte bulunur
+const ZIP_LOCAL_HEADER = Buffer.from([0x50, 0x4B, 0x03, 0x04]);
+const ZIP_END_OF_DIRECTORY = Buffer.from([0x50, 0x4B, 0x05, 0x06]);
+
+// PNG IEND chunk'ı: 'IEND' + 4 byte CRC
+const PNG_IEND = Buffer.from('IEND', 'latin1');
+
+// JPEG: APPn (EXIF, XMP, ICC...) ve COM segment'leri; SOS'tan sonrası entropy-coded veridir
+const JPEG_SOS = 0xDA;
+const JPEG_EOI = Buffer.from([0xFF, 0xD9]);
+const isJpegMetadataMarker = (marker) => (marker >= 0xE0 && marker <= 0xEF) || marker === 0xFE;
+const isJpegStandaloneMarker = (marker) => marker === 0xD8 || marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7);
+
+// PNG ve WebP'de sıkıştırılmış görsel verisi taşıyan chunk'lar (taranmaz)
+const PNG_IMAGE_CHUNKS = ['IDAT'];
+const WEBP_IMAGE_CHUNKS = ['VP8 ', 'VP8L', 'ALPH', 'ANMF'];
+
+/**
+ * Buffer'ın gerçek görsel türünü imzadan tespit et
+ * @param {Buffer} buffer
+ * @returns {object|null} { format, mime, extension } veya null
+ */
+const detectImageType = (buffer) => {
+    const signature = IMAGE_SIGNATURES.find(candidate => candidate.matches(buffer));
+    if (!signature) return null;
+
+    const { format, mime, extension } = signature;
+    return { format, mime, extension };
+};
+
+/**
+ * Görselin bittiği yerden sonra ekstra veri var mı?
+ * JPEG'de kamera üreticileri EOI sonrasına veri eklediği için sadece PNG ve WebP kontrol edilir
+ */
+const hasTrailingData = (buffer, format) => {
+    if (format === 'png') {
+        const iendIndex = buffer.lastIndexOf(PNG_IEND);
+        return iendIndex === -1 || iendIndex + PNG_IEND.length + 4 < buffer.length;
+    }
+
+    if (format === 'webp') {
+        // RIFF boyutu header'dan (8 byte) sonraki veri uzunluğu; chunk'lar çift sayıya pad'lenir
+        const riffSize = buffer.readUInt32LE(4) + 8;
+        return riffSize + (riffSize % 2) < buffer.length;
+    }
+
+    return false;
+};
+
+/**
+ * Entropy-coded scan verisinin bittiği yer: byte-stuffing (FF 00), RSTn ve fill byte'ları
+ * scan'in parçasıdır; bunların dışındaki ilk marker scan'i bitirir
+ * @returns {number} Marker'ın offset'i (bulunamazsa buffer.length)
+ */
+const findScanEnd = (buffer, offset) => {
+    let index = buffer.indexOf(0xFF, offset);
+
+    while (index !== -1 && index + 1 < buffer.length) {
+        const next = buffer[index + 1];
+        if (next === 0xFF) {
+            index++;
+        } else if (next === 0x00 || (next >= 0xD0 && next <= 0xD7)) {
+            index = buffer.indexOf(0xFF, index + 2);
+        } else {
+            return index;
+        }
+    }
+
+    return buffer.length;
+};
+
+/**
+ * JPEG: APPn / COM segment'leri + görseli bitiren EOI'den sonraki tüm veri
+ * Segment'ler ve scan'ler (progressive JPEG'de birden fazla) sırayla yürünür; dosyanın sonundaki
+ * FF D9'a güvenilmez, çünkü eklenen veri de FF D9 ile bitirilebilir
+ */
+const getJpegSegments = (buffer) => {
+    const segments = [];
+    let offset = 2;
+
+    while (offset + 2 <= buffer.length && buffer[offset] === 0xFF) {
+        const marker = buffer[offset + 1];
+
+        if (marker === 0xFF) {
+            offset++;
+            continue;
+        }
+        if (marker === JPEG_EOI[1]) {
+            segments.push(buffer.subarray(offset + JPEG_EOI.length));
+            break;
+        }
+        if (isJpegStandaloneMarker(marker)) {
+            offset += 2;
+            continue;
+        }
+        if (offset + 4 > buffer.length) break;
+
+        const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+        if (isJpegMetadataMarker(marker)) {
+            segments.push(buffer.subarray(offset + 4, end));
+        }
+        offset = marker === JPEG_SOS ? findScanEnd(buffer, end) : end;
+    }
+
+    return segments;
+};
+
+/**
+ * PNG / WebP: görsel verisi taşımayan chunk'ların içeriği
+ * @param {object} layout - { start, readLength, typeOffset, dataOffset, trailerSize, pad, skip } chunk yapısı
+ */
+const getChunkSegments = (buffer, { start, readLength, typeOffset, dataOffset, trailerSize, pad, skip }) => {
+    const segments = [];
+    let offset = start;
+
+    while (offset + dataOffset <= buffer.length) {
+        const length = readLength(buffer, offset);
+        const type = buffer.toString('latin1', offset + typeOffset, offset + typeOffset + 4);
+        const end = offset + dataOffset + length;
+
+        if (!skip.includes(type)) {
+            segments.push(buffer.subarray(offset + dataOffset, Math.min(end, buffer.length)));
+        }
+        offset = end + trailerSize + (pad ? length % 2 : 0);
+    }
+
+    return segments;
+};
+
+/**
+ * Entropy-coded olmayan bölümler (metadata segment'leri / chunk'ları)
+ * @returns {Buffer[]}
+ */
+const getMetadataSegments = (buffer, format) => {
+    if (format === 'jpeg') return getJpegSegments(buffer);
+
+    if (format === 'png') {
+        // length (4, BE) + type (4) + data + CRC (4)
+        return getChunkSegments(buffer, {
+            start: 8,
+            readLength: (data, offset) => data.readUInt32BE(offset),
+            typeOffset: 4,
+            dataOffset: 8,
+            trailerSize: 4,
+            pad: false,
+            skip: PNG_IMAGE_CHUNKS
+        });
+    }
+
+    if (format === 'webp') {
+        // fourcc (4) + size (4, LE) + data (+ çift sayıya pad)
+        return getChunkSegments(buffer, {
+            start: 12,
+            readLength: (data, offset) => data.readUInt32LE(offset + 4),
+            typeOffset: 0,
+            dataOffset: 8,
+            trailerSize: 0,
+            pad: true,
+            skip: WEBP_IMAGE_CHUNKS
+        });
+    }
+
+    return [];
+};
+
+/**
+ * Görsel başka bir dosya türü olarak da yorumlanabiliyor mu?
+ * Sadece metadata segment'leri taranır (sıkıştırılmış piksel verisi hariç)
+ */
+const findPolyglotMarker = (buffer, format) => {
+    for (const segment of getMetadataSegments(buffer, format)) {
+        if (segment.includes(ZIP_LOCAL_HEADER) && segment.includes(ZIP_END_OF_DIRECTORY)) {
+            return 'zip';
+        }
+
+        const content = segment.toString('latin1').toLowerCase();
+        const marker = EMBEDDED_MARKERS.find(candidate => content.includes(candidate));
+        if (marker) return marker;
+    }
+
+    return null;
+};
+
+/**
+ * Upload edilen dosyayı byte'larından doğrula
+ * @param {string} filePath
+ * @returns {Promise<object>} { valid, type } veya { valid: false, code, error }
+ */
+const verifyImageFile = async (filePath) => {
+    const buffer = await fs.readFile(filePath);
+    const type = detectImageType(buffer);
+
+    if (!type) {
+        return {
+            valid: false,
+            code: 'UNSUPPORTED_FILE_TYPE',
+            error: 'File is not a supported image (JPEG, PNG or WebP)'
+        };
+    }
+
+    const marker = hasTrailingData(buffer, type.format) ? 'trailing data' : findPolyglotMarker(buffer, type.format);
+    if (marker) {
+        console.warn(`🚫 Polyglot upload rejected (${type.format}, ${marker}): ${filePath}`);
+        return {
+            valid: false,
+            code: 'POLYGLOT_FILE',
+            error: 'File contains data that is not part of the image'
+        };
+    }
+
+    // İmza doğru olsa bile görsel gerçekten decode edilebilmeli
+    try {
+        const { format } = await sharp(buffer).metadata();
+        if (format !== type.format) {
+            throw new Error(`decoded as ${format}`);
+        }
+    } catch (error) {
+        return {
+            valid: false,
+            code: 'INVALID_IMAGE',
+            error: `Image could not be decoded as ${type.format}: ${error.message}`
+        };
+    }
+
+    return { valid: true, type };
+};
+
+/**
+ * Buffer için data URL oluştur (MIME türü byte'lardan tespit edilir)
+ * @param {Buffer} buffer
+ * @returns {string} data:<mime>;base64,...
+ */
+const toDataUrl = (buffer) => {
+    const type = detectImageType(buffer);
+    if (!type) {
+        throw new Error('Unsupported image content');
+    }
+
+    return `data:${type.mime};base64,${buffer.toString('base64')}`;
+};
+
+module.exports = {
+    detectImageType,
+    verifyImageFile,
+    toDataUrl
+};
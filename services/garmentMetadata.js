@@ -0,0 +1,88 @@
+// services/garmentMetadata.js
+/**
+ * Garment Metadata
+ * İstekte kıyafet için yapılandırılmış bilgi verilebilir: { type, color, material, fit, description }
+ * Provider prompt builder'ları bu bilgiyi kullanır (IDM-VTON garment_des, nano-banana prompt'u,
+ * HTTP provider'larda {{garment_description}}). Metadata generation'a garment_metadata olarak yazılır.
+ */
+
+const FIT_VALUES = ['slim', 'regular', 'loose', 'oversized'];
+
+// Alan adı → en fazla uzunluk (description serbest metin, diğerleri kısa etiket)
+const GARMENT_FIELDS = {
+    type: 40,
+    color: 40,
+    material: 40,
+    fit: 20,
+    description: 300
+};
+
+/**
+ * İstekteki garment metadata'sını doğrula ve normalize et (boşluklar kırpılır, boş alanlar atılır)
+ * @returns {object} { success, garment } (alan yoksa garment null) veya { success: false, error, code }
+ */
+const validateGarmentMetadata = (raw) => {
+    if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+        return { success: false, error: 'garment must be an object', code: 'INVALID_GARMENT' };
+    }
+
+    const errors = [];
+    const garment = {};
+
+    for (const [name, value] of Object.entries(raw)) {
+        // Object.hasOwn: constructor / toString gibi miras alınan anahtarlar alan sayılmaz
+        if (!Object.hasOwn(GARMENT_FIELDS, name)) {
+            errors.push(`Unknown garment field: ${name}`);
+            continue;
+        }
+        const maxLength = GARMENT_FIELDS[name];
+        if (typeof value !== 'string') {
+            errors.push(`garment.${name} must be a string`);
+            continue;
+        }
+
+        const trimmed = value.trim().replace(/\s+/g, ' ');
+        if (trimmed.length > maxLength) {
+            errors.push(`garment.${name} must be at most ${maxLength} characters`);
+        } else if (trimmed) {
+            garment[name] = trimmed;
+        }
+    }
+
+    if (garment.fit) {
+        garment.fit = garment.fit.toLowerCase();
+        if (!FIT_VALUES.includes(garment.fit)) {
+            errors.push(`garment.fit must be one of: ${FIT_VALUES.join(', ')}`);
+        }
+    }
+
+    if (errors.length > 0) {
+        return { success: false, error: errors.join('; '), code: 'INVALID_GARMENT' };
+    }
+
+    return { success: true, garment: Object.keys(garment).length > 0 ? garment : null };
+};
+
+/**
+ * Kısa kıyafet tanımı: "slim fit navy cotton shirt" (type yoksa kategori kullanılır)
+ * Serbest açıklama varsa ". " ile eklenir
+ * @returns {string|null} garment yoksa null
+ */
+const describeGarment = (garment, category) => {
+    if (!garment) return null;
+
+    const label = [
+        garment.fit && `${garment.fit} fit`,
+        garment.color,
+        garment.material,
+        garment.type || category.replace('_', ' ')
+    ].filter(Boolean).join(' ');
+
+    return garment.description ? `${label}. ${garment.description}` : label;
+};
+
+module.exports = {
+    FIT_VALUES,
+    validateGarmentMetadata,
+    describeGarment
+};
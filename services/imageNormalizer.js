@@ -0,0 +1,96 @@
+// services/imageNormalizer.js
+/**
+ * Input Image Normalization (sharp)
+ * 1. Upload sonrası: EXIF orientation uygula, metadata'yı (GPS dahil) sil
+ * 2. Provider çağrısı öncesi: provider'ın max çözünürlüğüne küçült, tercih ettiği formata çevir
+ */
+
+const sharp = require('sharp');
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// Provider config'inde input ayarı yoksa kullanılır
+const DEFAULT_INPUT_CONFIG = {
+    maxDimension: 1024,
+    format: 'jpeg',
+    quality: 90
+};
+
+// Upload yerinde yeniden encode edilir ve provider için bir kez daha sıkıştırılır;
+// ilk encode'daki kayıp ikinciye eklenmesin diye JPEG / WebP yüksek kaliteyle yazılır.
+// PNG'ye quality verilmez: sharp quality ile palette (en fazla 256 renk) çıktısına geçer
+const UPLOAD_QUALITY = 95;
+
+const FORMAT_EXTENSIONS = {
+    jpeg: 'jpg',
+    png: 'png',
+    webp: 'webp'
+};
+
+/**
+ * Upload edilen dosyayı yerinde normalize et
+ * EXIF orientation piksellere uygulanır; sharp metadata'yı varsayılan olarak yazmaz
+ * @param {string} filePath - Multer dosya path'i
+ * @returns {Promise<object>} { width, height, format }
+ */
+const normalizeUpload = async (filePath) => {
+    try {
+        const tempPath = `${filePath}.normalized`;
+        const image = sharp(filePath, { failOn: 'error' });
+        const { format } = await image.metadata();
+
+        const info = await image
+            .rotate()
+            .toFormat(format, format === 'png' ? {} : { quality: UPLOAD_QUALITY })
+            .toFile(tempPath);
+
+        await fs.rename(tempPath, filePath);
+
+        return {
+            width: info.width,
+            height: info.height,
+            format: info.format
+        };
+    } catch (error) {
+        throw new Error(`Image normalization error: ${error.message}`);
+    }
+};
+
+/**
+ * Görseli provider'ın istediği boyut ve formatta yeni bir dosyaya yaz
+ * @param {string} filePath - Normalize edilmiş görsel
+ * @param {object} inputConfig - { maxDimension, format, quality }
+ * @returns {Promise<object>} { path, width, height, format }
+ */
+const prepareForProvider = async (filePath, inputConfig = {}) => {
+    const config = { ...DEFAULT_INPUT_CONFIG, ...inputConfig };
+    const extension = FORMAT_EXTENSIONS[config.format] || config.format;
+    const outputPath = path.join(path.dirname(filePath), `provider-${uuidv4()}.${extension}`);
+
+    try {
+        const info = await sharp(filePath)
+            .resize({
+                width: config.maxDimension,
+                height: config.maxDimension,
+                fit: 'inside',
+                withoutEnlargement: true
+            })
+            .toFormat(config.format, { quality: config.quality })
+            .toFile(outputPath);
+
+        return {
+            path: outputPath,
+            width: info.width,
+            height: info.height,
+            format: info.format
+        };
+    } catch (error) {
+        throw new Error(`Image preparation error: ${error.message}`);
+    }
+};
+
+module.exports = {
+    normalizeUpload,
+    prepareForProvider
+};
@@ -0,0 +1,175 @@
+// services/imageQuality.js
+/**
+ * Pre-flight Image Quality Checks (sharp)
+ * Credit rezerve edilmeden önce çözünürlük, parlaklık, bulanıklık ve en-boy oranını ölçer;
+ * işe yaramayacak fotoğrafları yapılandırılmış hata kodlarıyla reddeder.
+ */
+
+const sharp = require('sharp');
+const { getQualityThresholds } = require('./apiConfig');
+
+// Parlaklık / bulanıklık ölçümü bu boyuta küçültülmüş görsel üzerinde yapılır
+const ANALYSIS_SIZE = 512;
+
+// Laplacian kernel (kenar tespiti) - varyansı düşükse görsel bulanıktır
+const LAPLACIAN_KERNEL = {
+    width: 3,
+    height: 3,
+    kernel: [0, 1, 0, 1, -4, 1, 0, 1, 0],
+    offset: 128
+};
+
+const QUALITY_ISSUES = {
+    IMAGE_UNREADABLE: 'The image could not be read. Please upload a valid JPEG, PNG or WebP photo.',
+    IMAGE_TOO_SMALL: 'The image resolution is too low. Please upload a larger photo.',
+    IMAGE_TOO_DARK: 'The photo is too dark. Try taking it in better lighting.',
+    IMAGE_TOO_BRIGHT: 'The photo is overexposed. Try avoiding direct light or flash.',
+    IMAGE_TOO_BLURRY: 'The photo looks blurry. Hold the camera steady and make sure it is in focus.',
+    IMAGE_BAD_ASPECT_RATIO: 'The photo is too narrow or too wide. Please use a regular portrait or square photo.'
+};
+
+/**
+ * Görsel metriklerini hesapla
+ * @param {string} filePath
+ * @returns {Promise<object>} { width, height, aspectRatio, brightness, blurScore }
+ */
+const analyzeImage = async (filePath) => {
+    const metadata = await sharp(filePath).metadata();
+
+    // EXIF orientation 5-8 ise görsel 90° döndürülmüş gösterilir
+    const rotated = metadata.orientation >= 5;
+    const width = rotated ? metadata.height : metadata.width;
+    const height = rotated ? metadata.width : metadata.height;
+
+    const grey = sharp(filePath)
+        .rotate()
+        .resize(ANALYSIS_SIZE, ANALYSIS_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .greyscale();
+
+    const { channels } = await grey.clone().stats();
+    const { data: laplacian } = await grey.clone()
+        .convolve(LAPLACIAN_KERNEL)
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    let sum = 0;
+    let sumSquares = 0;
+    for (const value of laplacian) {
+        sum += value;
+        sumSquares += value * value;
+    }
+    const mean = sum / laplacian.length;
+
+    return {
+        width,
+        height,
+        aspectRatio: Math.max(width, height) / Math.min(width, height),
+        brightness: channels[0].mean,
+        blurScore: sumSquares / laplacian.length - mean * mean
+    };
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Metrikleri eşik değerleriyle karşılaştır
+ */
+const evaluateMetrics = (metrics, thresholds) => {
+    const issues = [];
+    const addIssue = (code, value, threshold) => {
+        issues.push({ code, hint: QUALITY_ISSUES[code], value, threshold });
+    };
+
+    if (metrics.width < thresholds.minWidth || metrics.height < thresholds.minHeight) {
+        addIssue('IMAGE_TOO_SMALL', `${metrics.width}x${metrics.height}`, `${thresholds.minWidth}x${thresholds.minHeight}`);
+    }
+    if (metrics.aspectRatio > thresholds.maxAspectRatio) {
+        addIssue('IMAGE_BAD_ASPECT_RATIO', round(metrics.aspectRatio), thresholds.maxAspectRatio);
+    }
+    if (metrics.brightness < thresholds.minBrightness) {
+        addIssue('IMAGE_TOO_DARK', round(metrics.brightness), thresholds.minBrightness);
+    }
+    if (metrics.brightness > thresholds.maxBrightness) {
+        addIssue('IMAGE_TOO_BRIGHT', round(metrics.brightness), thresholds.maxBrightness);
+    }
+    if (metrics.blurScore < thresholds.minBlurScore) {
+        addIssue('IMAGE_TOO_BLURRY', round(metrics.blurScore), thresholds.minBlurScore);
+    }
+
+    return issues;
+};
+
+/**
+ * Tek bir upload için kalite kontrolü
+ * @param {object} file - Multer dosyası
+ * @param {string} role - 'userImage' veya 'clothingImage'
+ * @param {string} category - Eşik değerleri kategoriye göre seçilir
+ * @returns {Promise<object>} { passed, metrics, issues }
+ */
+const checkImageQuality = async (file, role, category) => {
+    let metrics;
+    try {
+        metrics = await analyzeImage(file.path);
+    } catch (error) {
+        console.warn(`⚠️ Quality analysis failed for ${role}:`, error.message);
+        return {
+            passed: false,
+            metrics: null,
+            issues: [{ image: role, code: 'IMAGE_UNREADABLE', hint: QUALITY_ISSUES.IMAGE_UNREADABLE }]
+        };
+    }
+
+    const issues = evaluateMetrics(metrics, getQualityThresholds(category, role))
+        .map(issue => ({ image: role, ...issue }));
+
+    return {
+        passed: issues.length === 0,
+        metrics,
+        issues
+    };
+};
+
+/**
+ * Birden fazla upload için kalite kontrolü
+ * @param {array} checks - [{ file, role, category }]
+ * @returns {Promise<object>} { passed, issues, metrics: { [role]: metrics } }
+ */
+const checkUploadsQuality = async (checks) => {
+    const issues = [];
+    const metrics = {};
+
+    for (const { file, role, category } of checks) {
+        const result = await checkImageQuality(file, role, category);
+        metrics[role] = result.metrics;
+        issues.push(...result.issues);
+    }
+
+    if (issues.length > 0) {
+        console.log(`🚫 Quality check failed: ${issues.map(issue => `${issue.image}:${issue.code}`).join(', ')}`);
+    }
+
+    return {
+        passed: issues.length === 0,
+        issues,
+        metrics
+    };
+};
+
+/**
+ * Kalite hatası için standart 422 response body
+ */
+const qualityErrorResponse = (quality) => ({
+    success: false,
+    error: 'Image quality check failed',
+    code: quality.issues[0].code,
+    hint: quality.issues[0].hint,
+    issues: quality.issues
+});
+
+module.exports = {
+    analyzeImage,
+    checkImageQuality,
+    checkUploadsQuality,
+    qualityErrorResponse,
+    QUALITY_ISSUES
+};
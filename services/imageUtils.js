@@ -0,0 +1,26 @@
+// services/imageUtils.js
+/**
+ * Görsel yardımcı fonksiyonları
+ */
+
+/**
+ * URL'den görseli buffer olarak getir
+ * @param {object} options - { signal } AbortSignal
+ * @returns {Promise<object>} { buffer, contentType }
+ */
+const fetchImage = async (imageUrl, { signal } = {}) => {
+    const response = await fetch(imageUrl, { signal });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const arrayBuffer = await response.arrayBuffer();
+    return {
+        buffer: Buffer.from(arrayBuffer),
+        contentType: response.headers.get('content-type') || 'image/jpeg'
+    };
+};
+
+module.exports = {
+    fetchImage
+};
@@ -0,0 +1,119 @@
+// services/outputValidator.js
+/**
+ * Provider Output Validation
+ * Provider'ın döndürdüğü sonuç ücretlendirilmeden önce indirilip kontrol edilir:
+ * geçerli bir URL, desteklenen ve çözülebilen bir görsel, makul boyutlar ve girdilerden farklı içerik.
+ * Kontrolden geçemeyen çıktı INVALID_PROVIDER_OUTPUT hatası fırlatır; ApiManager bunu
+ * tekrar denenebilir kabul eder (retry → fallback).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const sharp = require('sharp');
+const { fetchImage } = require('./imageUtils');
+const { detectImageType } = require('./fileSniffer');
+const { outputValidation } = require('./apiConfig');
+
+const OUTPUT_ISSUES = {
+    OUTPUT_INVALID_URL: 'Provider did not return an image URL',
+    OUTPUT_DOWNLOAD_FAILED: 'Provider result could not be downloaded',
+    OUTPUT_EMPTY: 'Provider result is empty',
+    OUTPUT_TOO_LARGE: 'Provider result exceeds the size limit',
+    OUTPUT_NOT_IMAGE: 'Provider result is not a supported image',
+    OUTPUT_BAD_DIMENSIONS: 'Provider result has unexpected dimensions',
+    OUTPUT_IDENTICAL_TO_INPUT: 'Provider returned one of the input images unchanged'
+};
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Kontrol hatası (reason: OUTPUT_ISSUES anahtarı)
+ */
+const outputError = (reason, detail, cause) => {
+    const error = new Error(`${OUTPUT_ISSUES[reason]}${detail ? ` (${detail})` : ''}`, cause ? { cause } : undefined);
+    error.code = 'INVALID_PROVIDER_OUTPUT';
+    error.reason = reason;
+    return error;
+};
+
+/**
+ * Provider'a gönderilen dosyaların SHA-256 özetleri (girdiyle aynı çıktı kontrolü için)
+ * @param {array} filePaths
+ * @returns {Promise<array>} Hex digest'ler
+ */
+const digestFiles = async (filePaths) => {
+    const buffers = await Promise.all(filePaths.map(filePath => fs.readFile(filePath)));
+    return buffers.map(sha256);
+};
+
+/**
+ * Provider çıktısını indir ve doğrula
+ * @param {*} resultUrl - Provider'ın döndürdüğü değer
+ * @param {array} inputDigests - digestFiles sonucu
+ * @param {object} options - { signal } indirme için AbortSignal (provider timeout'u)
+ * @returns {Promise<object>} { url, buffer, contentType, extension, width, height }
+ */
+const validateProviderOutput = async (resultUrl, inputDigests = [], { signal } = {}) => {
+    if (typeof resultUrl !== 'string' || !/^https?:\/\//i.test(resultUrl)) {
+        throw outputError('OUTPUT_INVALID_URL', typeof resultUrl === 'string' ? resultUrl.slice(0, 80) : typeof resultUrl);
+    }
+
+    let image;
+    try {
+        image = await fetchImage(resultUrl, { signal });
+    } catch (error) {
+        throw outputError('OUTPUT_DOWNLOAD_FAILED', error.message, error);
+    }
+
+    const { buffer } = image;
+    if (buffer.length === 0) {
+        throw outputError('OUTPUT_EMPTY');
+    }
+
+    if (buffer.length > outputValidation.maxBytes) {
+        throw outputError('OUTPUT_TOO_LARGE', `${buffer.length} bytes`);
+    }
+
+    // Content-Type'a değil byte'lara bakılır
+    const type = detectImageType(buffer);
+    if (!type) {
+        throw outputError('OUTPUT_NOT_IMAGE', image.contentType);
+    }
+
+    let metadata;
+    try {
+        metadata = await sharp(buffer).metadata();
+        // Header'ı sağlam ama pixel verisi bozuk görseller ancak decode edilince yakalanır
+        await sharp(buffer).resize(64, 64, { fit: 'inside' }).raw().toBuffer();
+    } catch (error) {
+        throw outputError('OUTPUT_NOT_IMAGE', error.message, error);
+    }
+
+    const { width, height } = metadata;
+    const { minDimension, maxDimension, maxAspectRatio } = outputValidation;
+    if (!width || !height ||
+        Math.min(width, height) < minDimension ||
+        Math.max(width, height) > maxDimension ||
+        Math.max(width, height) / Math.min(width, height) > maxAspectRatio) {
+        throw outputError('OUTPUT_BAD_DIMENSIONS', `${width}x${height}`);
+    }
+
+    if (inputDigests.includes(sha256(buffer))) {
+        throw outputError('OUTPUT_IDENTICAL_TO_INPUT');
+    }
+
+    return {
+        url: resultUrl,
+        buffer,
+        contentType: type.mime,
+        extension: type.extension,
+        width,
+        height
+    };
+};
+
+module.exports = {
+    OUTPUT_ISSUES,
+    digestFiles,
+    validateProviderOutput
+};
@@ -0,0 +1,256 @@
+// services/promptTemplates.js
+/**
+ * Versioned Prompt Templates
+ * Prompt'lar prompt_templates tablosunda provider + kategori bazında versiyonlu tutulur:
+ * { provider, category, version, prompt, negative_prompt, style_modifiers, status, notes }
+ * status: draft → published → archived. Her provider + kategori için yayında tek versiyon olur;
+ * yayınlanmış versiyon yoksa usesPromptTemplates tanımlayan provider'lar apiConfig.promptTemplates'e düşer.
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const { promptTemplates, promptConfig, applyStyleModifier } = require('./apiConfig');
+const { getProviderSettings } = require('./providers');
+
+const STATUSES = {
+    DRAFT: 'draft',
+    PUBLISHED: 'published',
+    ARCHIVED: 'archived'
+};
+
+const DEFAULT_STYLE = 'default';
+
+/**
+ * style parametresi geçerli mi? ('default' veya promptConfig.styleModifiers anahtarları)
+ */
+const isValidStyle = (style) => style === DEFAULT_STYLE || Object.hasOwn(promptConfig.styleModifiers, style);
+
+const getStyles = () => [DEFAULT_STYLE, ...Object.keys(promptConfig.styleModifiers)];
+
+// ============================================
+// YAYINDAKİ TEMPLATE (kısa süreli cache)
+// ============================================
+
+const publishedCache = new Map();
+
+const cacheKey = (provider, category) => `${provider}:${category}`;
+
+/**
+ * Provider + kategori için yayındaki template
+ * @returns {Promise<object|null>} prompt_templates satırı
+ */
+const getPublishedTemplate = async (provider, category) => {
+    const key = cacheKey(provider, category);
+    const cached = publishedCache.get(key);
+    if (cached && Date.now() - cached.loadedAt < promptConfig.cacheTtlMs) {
+        return cached.template;
+    }
+
+    const { data, error } = await supabaseAdmin
+        .from('prompt_templates')
+        .select('*')
+        .eq('provider', provider)
+        .eq('category', category)
+        .eq('status', STATUSES.PUBLISHED)
+        .order('published_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+    if (error) throw error;
+
+    publishedCache.set(key, { template: data, loadedAt: Date.now() });
+    return data;
+};
+
+/**
+ * Provider çağrısı için prompt
+ * Yayındaki template → (usesPromptTemplates ise) apiConfig varsayılanı → null
+ * @param {string} provider - Provider adı
+ * @param {string} category - Kategori
+ * @param {string} [style] - Stil (promptConfig.styleModifiers)
+ * @returns {Promise<object|null>} { prompt, negative_prompt, templateId, version, style }
+ *                                 version: yayındaki template versiyonu, apiConfig varsayılanı için 0
+ */
+const resolvePrompt = async (provider, category, style = DEFAULT_STYLE) => {
+    let template = null;
+    try {
+        template = await getPublishedTemplate(provider, category);
+    } catch (error) {
+        console.warn(`⚠️ Prompt templates unavailable for ${provider}/${category}, using defaults:`, error.message);
+    }
+
+    if (!template) {
+        if (!getProviderSettings(provider).usesPromptTemplates) return null;
+
+        const fallback = promptTemplates[category] || promptTemplates.default;
+        template = {
+            id: null,
+            version: 0,
+            prompt: fallback.prompt,
+            negative_prompt: fallback.negative_prompt
+        };
+    }
+
+    const modifier = template.style_modifiers?.[style] ?? promptConfig.styleModifiers[style] ?? '';
+
+    return {
+        prompt: applyStyleModifier(template.prompt, modifier),
+        negative_prompt: template.negative_prompt,
+        templateId: template.id,
+        version: template.version,
+        style
+    };
+};
+
+// ============================================
+// ADMIN
+// ============================================
+
+/**
+ * Provider + kategori için tüm versiyonlar (yeniden eskiye)
+ */
+const listTemplates = async ({ provider, category } = {}) => {
+    let query = supabaseAdmin
+        .from('prompt_templates')
+        .select('*')
+        .order('provider')
+        .order('category')
+        .order('version', { ascending: false });
+
+    if (provider) query = query.eq('provider', provider);
+    if (category) query = query.eq('category', category);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    return data;
+};
+
+const getTemplate = async (templateId) => {
+    const { data, error } = await supabaseAdmin
+        .from('prompt_templates')
+        .select('*')
+        .eq('id', templateId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+};
+
+/**
+ * Yeni versiyon oluştur (draft); version provider + kategori içinde bir artar
+ * @param {object} fields - { provider, category, prompt, negativePrompt, styleModifiers, notes }
+ * @returns {Promise<object>} prompt_templates satırı
+ */
+const createTemplate = async ({ provider, category, prompt, negativePrompt, styleModifiers, notes }) => {
+    const { data: latest, error: latestError } = await supabaseAdmin
+        .from('prompt_templates')
+        .select('version')
+        .eq('provider', provider)
+        .eq('category', category)
+        .order('version', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+    if (latestError) throw latestError;
+
+    const { data, error } = await supabaseAdmin
+        .from('prompt_templates')
+        .insert({
+            provider,
+            category,
+            version: (latest?.version || 0) + 1,
+            prompt,
+            negative_prompt: negativePrompt || null,
+            style_modifiers: styleModifiers || {},
+            notes: notes || null,
+            status: STATUSES.DRAFT
+        })
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+};
+
+/**
+ * Versiyonu yayına al; aynı provider + kategorideki önceki yayındaki versiyon arşivlenir
+ * @returns {Promise<object|null>} Yayınlanan template (bulunamazsa null)
+ */
+const publishTemplate = async (templateId) => {
+    const template = await getTemplate(templateId);
+    if (!template) return null;
+
+    const { error: archiveError } = await supabaseAdmin
+        .from('prompt_templates')
+        .update({ status: STATUSES.ARCHIVED })
+        .eq('provider', template.provider)
+        .eq('category', template.category)
+        .eq('status', STATUSES.PUBLISHED)
+        .neq('id', templateId);
+
+    if (archiveError) throw archiveError;
+
+    const { data, error } = await supabaseAdmin
+        .from('prompt_templates')
+        .update({
+            status: STATUSES.PUBLISHED,
+            published_at: new Date().toISOString()
+        })
+        .eq('id', templateId)
+        .select()
+        .single();
+
+    if (error) throw error;
+
+    publishedCache.delete(cacheKey(template.provider, template.category));
+    console.log(`📝 Prompt template published: ${template.provider}/${template.category} v${template.version}`);
+
+    return data;
+};
+
+/**
+ * Yayındaki versiyondan önce yayınlanmış en yeni versiyona geri dön
+ * @returns {Promise<object>} { success, template, previousVersion } veya { success: false, error, code }
+ */
+const rollbackTemplate = async (provider, category) => {
+    publishedCache.delete(cacheKey(provider, category));
+    const current = await getPublishedTemplate(provider, category);
+
+    if (!current) {
+        return { success: false, error: 'No published template to roll back', code: 'NOTHING_PUBLISHED' };
+    }
+
+    const { data: previous, error } = await supabaseAdmin
+        .from('prompt_templates')
+        .select('id')
+        .eq('provider', provider)
+        .eq('category', category)
+        .lt('version', current.version)
+        .not('published_at', 'is', null)
+        .order('version', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+    if (error) throw error;
+
+    if (!previous) {
+        return { success: false, error: 'No previously published version', code: 'NO_PREVIOUS_VERSION' };
+    }
+
+    const template = await publishTemplate(previous.id);
+
+    return { success: true, template, previousVersion: current.version };
+};
+
+module.exports = {
+    STATUSES,
+    DEFAULT_STYLE,
+    isValidStyle,
+    getStyles,
+    resolvePrompt,
+    listTemplates,
+    getTemplate,
+    createTemplate,
+    publishTemplate,
+    rollbackTemplate
+};
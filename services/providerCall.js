@@ -0,0 +1,122 @@
+// services/providerCall.js
+/**
+ * Provider Call Policy
+ * Provider çağrıları apiConfig'teki timeout ile AbortController üzerinden iptal edilir;
+ * geçici hatalar (network, 429, 5xx) exponential backoff + jitter ile tekrar denenir.
+ */
+
+const { apiSelectionStrategy } = require('./apiConfig');
+
+// Geçici olduğu kabul edilen network hata kodları (Node / undici)
+const NETWORK_ERROR_CODES = [
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'ETIMEDOUT',
+    'EPIPE',
+    'ENOTFOUND',
+    'EAI_AGAIN',
+    'UND_ERR_SOCKET',
+    'UND_ERR_CONNECT_TIMEOUT',
+    'UND_ERR_HEADERS_TIMEOUT',
+    'UND_ERR_BODY_TIMEOUT'
+];
+
+/**
+ * Hata zincirini (error.cause) dolaş
+ */
+const unwrapErrors = (error) => {
+    const chain = [];
+    let current = error;
+    while (current && chain.length < 10) {
+        chain.push(current);
+        current = current.cause;
+    }
+    return chain;
+};
+
+/**
+ * Hatadaki HTTP status (Replicate ApiError → error.response.status)
+ * @returns {number|null}
+ */
+const getErrorStatus = (error) => {
+    for (const item of unwrapErrors(error)) {
+        const status = item.response?.status ?? item.status;
+        if (Number.isInteger(status)) return status;
+    }
+    return null;
+};
+
+/**
+ * Hata tekrar denenebilir mi? (network hatası, 429, 5xx veya kontrolden geçemeyen çıktı)
+ * Timeout tekrar denenmez; provider zaten süresini doldurmuştur, fallback devreye girer
+ */
+const isRetryableError = (error) => {
+    const chain = unwrapErrors(error);
+
+    if (chain.some(item => item.code === 'PROVIDER_TIMEOUT')) {
+        return false;
+    }
+
+    if (error.code === 'INVALID_PROVIDER_OUTPUT') {
+        return true;
+    }
+
+    const status = getErrorStatus(error);
+    if (status !== null) {
+        return status === 429 || status >= 500;
+    }
+
+    return chain.some(item =>
+        NETWORK_ERROR_CODES.includes(item.code) ||
+        (item.name === 'TypeError' && item.message === 'fetch failed')
+    );
+};
+
+/**
+ * Deneme sonrası bekleme süresi: exponential backoff + jitter
+ * base * 2^(attempt-1), üst sınır maxDelay; sürenin yarısı sabit, yarısı rastgele
+ * @param {number} attempt - Başarısız olan deneme numarası (1'den başlar)
+ */
+const getBackoffDelay = (attempt, strategy = apiSelectionStrategy) => {
+    const exponential = Math.min(
+        strategy.retryMaxDelayMs,
+        strategy.retryBaseDelayMs * 2 ** (attempt - 1)
+    );
+    return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Fonksiyonu timeout ile çalıştır
+ * Süre dolunca signal abort edilir; provider signal'i dinlemese bile çağrı beklenmez
+ * @param {Function} fn - (signal) => Promise
+ * @param {number} timeoutMs
+ */
+const callWithTimeout = async (fn, timeoutMs) => {
+    const controller = new AbortController();
+    let timer;
+
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            const error = new Error(`Provider call timed out after ${timeoutMs}ms`);
+            error.code = 'PROVIDER_TIMEOUT';
+            controller.abort(error);
+            reject(error);
+        }, timeoutMs);
+    });
+
+    try {
+        return await Promise.race([fn(controller.signal), timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+module.exports = {
+    callWithTimeout,
+    isRetryableError,
+    getErrorStatus,
+    getBackoffDelay,
+    sleep
+};
@@ -0,0 +1,113 @@
+// services/providerParams.js
+/**
+ * Provider Parameter Schemas
+ * Her provider tanımı paramSchema ile ayarlanabilir model parametrelerini (tip, aralık, varsayılan) yayınlar.
+ * İstekteki params bu şemaya göre doğrulanır; eksik değerler varsayılanla doldurulur.
+ * random: true olan parametreler (seed) verilmezse her işlemde rastgele üretilir ve
+ * generation'a yazılan etkin parametrelerle birlikte saklanır (tekrar üretilebilir sonuç için).
+ *
+ * fixedFor: { [category]: value } — o kategoride parametre bu değeri almak zorundadır; farklı değer
+ * istenirse reddedilir, verilmezse varsayılan yerine bu değer kullanılır.
+ *
+ * Şema alanı: { type: 'integer' | 'number' | 'boolean' | 'string', min?, max?, enum?, default?, random?, fixedFor?, description? }
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Tek bir değeri şema alanına göre doğrula
+ * @returns {string|null} Hata mesajı veya null
+ */
+const validateValue = (name, value, field, category) => {
+    switch (field.type) {
+        case 'integer':
+            if (!Number.isInteger(value)) return `${name} must be an integer`;
+            break;
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return `${name} must be a number`;
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') return `${name} must be a boolean`;
+            break;
+        case 'string':
+            if (typeof value !== 'string') return `${name} must be a string`;
+            break;
+        default:
+            return `${name} has an unsupported schema type: ${field.type}`;
+    }
+
+    if (field.min !== undefined && value < field.min) return `${name} must be >= ${field.min}`;
+    if (field.max !== undefined && value > field.max) return `${name} must be <= ${field.max}`;
+    if (field.enum && !field.enum.includes(value)) return `${name} must be one of: ${field.enum.join(', ')}`;
+    if (category && field.fixedFor && category in field.fixedFor && value !== field.fixedFor[category]) {
+        return `${name} must be ${field.fixedFor[category]} for ${category}`;
+    }
+
+    return null;
+};
+
+/**
+ * İstenen parametreleri doğrula (varsayılanlar eklenmez)
+ * @param {object} schema - Provider paramSchema'sı
+ * @param {object} requested - İstekteki params
+ * @param {string} [category] - Verilirse fixedFor kısıtları da kontrol edilir
+ * @returns {object} { success, params } veya { success: false, error, code }
+ */
+const validateParams = (schema = {}, requested = {}, category) => {
+    if (typeof requested !== 'object' || requested === null || Array.isArray(requested)) {
+        return { success: false, error: 'params must be an object', code: 'INVALID_PARAMS' };
+    }
+
+    const errors = [];
+    for (const [name, value] of Object.entries(requested)) {
+        const field = schema[name];
+        const error = field ? validateValue(name, value, field, category) : `Unknown parameter: ${name}`;
+        if (error) errors.push(error);
+    }
+
+    if (errors.length > 0) {
+        return { success: false, error: errors.join('; '), code: 'INVALID_PARAMS' };
+    }
+
+    return { success: true, params: { ...requested } };
+};
+
+/**
+ * Etkin parametreler: doğrulanmış istek + varsayılanlar (+ rastgele seed)
+ * @param {object|null} overrides - İstekteki (veya experiment variant'ındaki) params
+ * @param {string} [category] - fixedFor değerleri bu kategoriye göre uygulanır
+ * @returns {object} { success, params } veya { success: false, error, code }
+ */
+const resolveParams = (schema = {}, overrides = null, category) => {
+    const requested = overrides || {};
+    const validation = validateParams(schema, requested, category);
+    if (!validation.success) return validation;
+
+    const params = {};
+    for (const [name, field] of Object.entries(schema)) {
+        if (requested[name] !== undefined) {
+            params[name] = requested[name];
+        } else if (category && field.fixedFor && category in field.fixedFor) {
+            params[name] = field.fixedFor[category];
+        } else if (field.random) {
+            params[name] = crypto.randomInt(field.min ?? 0, (field.max ?? 2 ** 31 - 1) + 1);
+        } else if (field.default !== undefined) {
+            params[name] = field.default;
+        }
+    }
+
+    return { success: true, params };
+};
+
+/**
+ * Cache anahtarı için sıralı JSON (anahtar sırasından bağımsız)
+ */
+const stableStringify = (params = {}) => JSON.stringify(
+    Object.keys(params).sort().map(name => [name, params[name]])
+);
+
+module.exports = {
+    validateParams,
+    resolveParams,
+    stableStringify
+};
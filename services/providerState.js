@@ -0,0 +1,162 @@
+// services/providerState.js
+/**
+ * Runtime Provider State
+ * Provider'ların enabled / drain durumu ve kategori priority'leri provider_settings tablosunda tutulur;
+ * redeploy gerekmeden admin API'si ile değiştirilir. Registry bu değerleri apiConfig'in üzerine uygular.
+ * Seçim senkron çalıştığı için durum bellekte tutulur ve süresi dolunca arka planda yenilenir.
+ * Her değişiklik provider_settings_audit tablosuna yazılır.
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const { providerStateConfig } = require('./apiConfig');
+
+let state = { overrides: {}, loadedAt: 0 };
+let refreshing = null;
+
+/**
+ * provider_settings tablosunu oku ve cache'i yenile
+ * @returns {Promise<object>} { [provider]: { enabled, draining, priority, updated_at, updated_by } }
+ */
+const loadProviderState = async () => {
+    const { data, error } = await supabaseAdmin
+        .from('provider_settings')
+        .select('provider, enabled, draining, priority, updated_at, updated_by');
+
+    if (error) throw error;
+
+    state = {
+        overrides: Object.fromEntries(data.map(row => [row.provider, row])),
+        loadedAt: Date.now()
+    };
+
+    return state.overrides;
+};
+
+/**
+ * Cache süresi dolduysa arka planda yenile (aynı anda tek yenileme)
+ */
+const refreshInBackground = () => {
+    if (refreshing || Date.now() - state.loadedAt < providerStateConfig.cacheTtlMs) return;
+
+    refreshing = loadProviderState()
+        .catch(error => {
+            // Son bilinen durum kullanılmaya devam eder; bir sonraki okumada tekrar denenir
+            console.warn('⚠️ Provider state refresh failed, using cached state:', error.message);
+            state.loadedAt = Date.now();
+        })
+        .finally(() => {
+            refreshing = null;
+        });
+};
+
+/**
+ * Provider'ın runtime override'ı (yoksa null); senkron, cache'ten okunur
+ */
+const getProviderOverride = (name) => {
+    refreshInBackground();
+    return state.overrides[name] || null;
+};
+
+/**
+ * Provider durumunu güncelle ve audit kaydı yaz
+ * @param {string} name - Provider adı
+ * @param {object} changes - { enabled?, draining?, priority? } (priority: { [category]: number | null })
+ * @param {object} meta - { actor, reason }
+ * @returns {Promise<object>} { success, settings, changes } veya { success: false, error }
+ */
+const updateProviderState = async (name, changes, { actor, reason } = {}) => {
+    try {
+        await loadProviderState();
+        const current = state.overrides[name] || { enabled: null, draining: false, priority: {} };
+
+        const next = {
+            enabled: changes.enabled ?? current.enabled,
+            draining: changes.draining ?? current.draining,
+            priority: { ...current.priority }
+        };
+
+        // null priority → apiConfig / provider tanımındaki değere dön
+        for (const [category, value] of Object.entries(changes.priority || {})) {
+            if (value === null) {
+                delete next.priority[category];
+            } else {
+                next.priority[category] = value;
+            }
+        }
+
+        const diff = {};
+        for (const field of ['enabled', 'draining', 'priority']) {
+            if (JSON.stringify(current[field]) !== JSON.stringify(next[field])) {
+                diff[field] = { from: current[field], to: next[field] };
+            }
+        }
+
+        if (Object.keys(diff).length === 0) {
+            return { success: true, settings: current, changes: {} };
+        }
+
+        const { data, error } = await supabaseAdmin
+            .from('provider_settings')
+            .upsert({
+                provider: name,
+                ...next,
+                updated_at: new Date().toISOString(),
+                updated_by: actor
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        state.overrides[name] = data;
+
+        const { error: auditError } = await supabaseAdmin
+            .from('provider_settings_audit')
+            .insert({
+                provider: name,
+                changes: diff,
+                actor,
+                reason: reason || null
+            });
+
+        if (auditError) {
+            console.error('Provider audit log error:', auditError);
+        }
+
+        console.log(`🎛️ Provider ${name} updated by ${actor}: ${Object.keys(diff).join(', ')}`);
+
+        return { success: true, settings: data, changes: diff };
+
+    } catch (error) {
+        console.error('Update provider state error:', error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+};
+
+/**
+ * Audit kayıtları (yeniden eskiye)
+ */
+const getProviderAudit = async ({ provider, limit = 50 } = {}) => {
+    let query = supabaseAdmin
+        .from('provider_settings_audit')
+        .select('*')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+    if (provider) query = query.eq('provider', provider);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    return data;
+};
+
+module.exports = {
+    loadProviderState,
+    getProviderOverride,
+    updateProviderState,
+    getProviderAudit
+};
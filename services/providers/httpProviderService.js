@@ -0,0 +1,318 @@
+/**
+ * Generic HTTP Provider Adapter
+ * Replicate dışındaki (self-hosted veya üçüncü parti) try-on endpoint'leri kod yazmadan
+ * JSON config ile eklenir. Config HTTP_PROVIDERS_JSON (inline) veya HTTP_PROVIDERS_CONFIG
+ * (dosya yolu, varsayılan config/httpProviders.json) ile verilir; örnek: config/httpProviders.example.json
+ *
+ * Her kayıt bir provider tanımına dönüşür:
+ * - request: { url, method, headers, body } — body template'i {{person}}, {{garment}}, {{category}},
+ *   {{prompt}}, {{negative_prompt}}, {{garment_description}}, {{params}} ve {{env.NAME}} placeholder'ları içerebilir
+ * - params: her istekte sabit gönderilen değerler; paramSchema: istekte ayarlanabilen parametreler
+ *   ({{params}} ikisinin birleşimidir)
+ * - mode: 'sync' (cevapta sonuç var) veya 'poll' (cevaptaki id ile durum endpoint'i sorgulanır)
+ * - output: sonuç URL'inin JSONPath'i (ör. $.output[0])
+ */
+
+const fs = require('fs');
+const path = require('path');
+const fsp = require('fs').promises;
+const { toDataUrl } = require('../fileSniffer');
+const { describeGarment } = require('../garmentMetadata');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', '..', 'config', 'httpProviders.json');
+
+const DEFAULT_POLL = {
+    intervalMs: 2000,
+    successValues: ['succeeded', 'success', 'completed'],
+    failureValues: ['failed', 'error', 'canceled', 'cancelled']
+};
+
+// ============================================
+// YARDIMCI FONKSİYONLAR
+// ============================================
+
+/**
+ * Basit JSONPath: $.a.b[0].c ve $['a'] biçimlerini destekler
+ * @returns {*} Değer veya undefined
+ */
+const getByPath = (object, jsonPath) => {
+    const tokens = [];
+    const pattern = /\.([^.[\]]+)|\[(\d+)\]|\['([^']+)'\]|\["([^"]+)"\]/g;
+    const expression = jsonPath.replace(/^\$/, '');
+
+    let match;
+    let consumed = 0;
+    while ((match = pattern.exec(expression)) !== null) {
+        if (match.index !== consumed) break;
+        consumed = pattern.lastIndex;
+        tokens.push(match[2] !== undefined ? Number(match[2]) : (match[1] ?? match[3] ?? match[4]));
+    }
+
+    if (consumed !== expression.length) {
+        throw new Error(`Unsupported JSONPath: ${jsonPath}`);
+    }
+
+    return tokens.reduce((value, token) => (value === null || value === undefined ? undefined : value[token]), object);
+};
+
+/**
+ * Template'teki {{name}} placeholder'larını doldur
+ * Sadece placeholder'dan oluşan string'ler değerin kendisiyle (obje, sayı) değiştirilir
+ */
+const renderTemplate = (template, variables) => {
+    const lookup = (name) => {
+        if (name.startsWith('env.')) return process.env[name.slice(4)] ?? '';
+        return variables[name];
+    };
+
+    if (typeof template === 'string') {
+        const whole = template.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+        if (whole) return lookup(whole[1]);
+
+        return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (placeholder, name) => {
+            const value = lookup(name);
+            return value === undefined || value === null ? '' : String(value);
+        });
+    }
+
+    if (Array.isArray(template)) {
+        return template.map(item => renderTemplate(item, variables));
+    }
+
+    if (template && typeof template === 'object') {
+        return Object.fromEntries(
+            Object.entries(template).map(([key, value]) => [key, renderTemplate(value, variables)])
+        );
+    }
+
+    return template;
+};
+
+/**
+ * Görseli config'teki encoding ile hazırla (data_url veya base64)
+ */
+const encodeImage = async (imagePath, encoding) => {
+    const buffer = await fsp.readFile(imagePath);
+    return encoding === 'base64' ? buffer.toString('base64') : toDataUrl(buffer);
+};
+
+/**
+ * Signal'e duyarlı bekleme
+ */
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        return reject(signal.reason || new Error('Aborted'));
+    }
+
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(signal.reason || new Error('Aborted'));
+    }, { once: true });
+});
+
+/**
+ * JSON isteği gönder; 2xx dışı cevaplar retry politikası için response.status taşır
+ */
+const requestJson = async (url, { method = 'POST', headers = {}, body, signal }) => {
+    const response = await fetch(url, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            Accept: 'application/json',
+            ...headers
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal
+    });
+
+    const text = await response.text();
+
+    if (!response.ok) {
+        const error = new Error(`HTTP ${response.status}: ${text.slice(0, 200)}`);
+        error.response = { status: response.status };
+        throw error;
+    }
+
+    try {
+        return JSON.parse(text);
+    } catch {
+        throw new Error(`Invalid JSON response from ${url}`);
+    }
+};
+
+// ============================================
+// PROVIDER OLUŞTURMA
+// ============================================
+
+/**
+ * Config kaydını doğrula
+ */
+const validateConfig = (config) => {
+    const missing = ['name', 'categories', 'request', 'output'].filter(field => !config[field]);
+    if (!config.request?.url) missing.push('request.url');
+    if (config.mode === 'poll' && !config.poll?.url) missing.push('poll.url');
+
+    if (missing.length > 0) {
+        throw new Error(`Invalid HTTP provider config (${config.name || 'unnamed'}): missing ${missing.join(', ')}`);
+    }
+
+    if (!['sync', 'poll', undefined].includes(config.mode)) {
+        throw new Error(`Invalid HTTP provider config (${config.name}): mode must be 'sync' or 'poll'`);
+    }
+};
+
+/**
+ * Config kaydından provider tanımı oluştur
+ * @param {object} config - httpProviders.json kaydı
+ * @returns {object} Registry provider tanımı
+ */
+const createHttpProvider = (config) => {
+    validateConfig(config);
+
+    const mode = config.mode || 'sync';
+    const poll = { ...DEFAULT_POLL, ...config.poll };
+    const enabled = config.enabled !== false;
+
+    /**
+     * Durum endpoint'ini sonuç gelene kadar sorgula (timeout ApiManager signal'i ile)
+     */
+    const pollForOutput = async (initialResponse, variables, signal) => {
+        const jobId = getByPath(initialResponse, poll.idPath || '$.id');
+        if (!jobId) {
+            throw new Error(`${config.name}: job id not found in response (${poll.idPath || '$.id'})`);
+        }
+
+        const statusPath = poll.statusPath || '$.status';
+
+        for (;;) {
+            await delay(poll.intervalMs, signal);
+
+            const status = await requestJson(renderTemplate(poll.url, { ...variables, id: jobId }), {
+                method: poll.method || 'GET',
+                headers: renderTemplate(config.request.headers || {}, variables),
+                signal
+            });
+
+            const state = String(getByPath(status, statusPath) ?? '').toLowerCase();
+
+            if (poll.failureValues.includes(state)) {
+                const reason = poll.errorPath ? getByPath(status, poll.errorPath) : null;
+                throw new Error(`${config.name} job ${jobId} ${state}${reason ? `: ${reason}` : ''}`);
+            }
+
+            if (poll.successValues.includes(state)) {
+                return status;
+            }
+        }
+    };
+
+    /**
+     * HTTP provider ile Virtual Try-On
+     * @param {object} options - { signal, prompt, params, garmentMetadata } ApiManager'dan gelen timeout, override'lar ve kıyafet metadata'sı
+     * @returns {Promise<string>} Sonuç görsel URL'i
+     */
+    const processVirtualTryOn = async (userImagePath, clothingImagePath, category, options = {}) => {
+        try {
+            console.log(`🌐 ${config.name} processing started (${category}, ${mode})...`);
+
+            if (!config.categories.includes(category)) {
+                throw new Error(`Invalid category: ${category}`);
+            }
+
+            const variables = {
+                person: await encodeImage(userImagePath, config.imageEncoding),
+                garment: await encodeImage(clothingImagePath, config.imageEncoding),
+                category,
+                prompt: options.prompt?.prompt,
+                negative_prompt: options.prompt?.negative_prompt,
+                garment_description: describeGarment(options.garmentMetadata, category),
+                params: { ...config.params, ...options.params }
+            };
+
+            const response = await requestJson(config.request.url, {
+                method: config.request.method,
+                headers: renderTemplate(config.request.headers || {}, variables),
+                body: renderTemplate(config.request.body || {}, variables),
+                signal: options.signal
+            });
+
+            const result = mode === 'poll'
+                ? await pollForOutput(response, variables, options.signal)
+                : response;
+
+            const resultUrl = getByPath(result, config.output);
+            if (typeof resultUrl !== 'string' || resultUrl.length === 0) {
+                throw new Error(`Output not found at ${config.output}`);
+            }
+
+            console.log(`🎉 ${config.name} result URL:`, resultUrl.slice(0, 120));
+            return resultUrl;
+
+        } catch (error) {
+            console.error(`💥 ${config.name} processing error:`, error.message);
+            throw new Error(`${config.displayName || config.name} processing failed: ${error.message}`, { cause: error });
+        }
+    };
+
+    const healthCheck = async () => ({
+        service: config.displayName || config.name,
+        status: enabled ? 'active' : 'inactive',
+        type: 'http',
+        mode,
+        endpoint: new URL(config.request.url).origin,
+        estimatedTime: config.estimatedTime ? `${config.estimatedTime}s` : undefined,
+        costPerImage: `$${config.costPerImage ?? 0}`
+    });
+
+    const priority = typeof config.priority === 'object'
+        ? config.priority
+        : Object.fromEntries(config.categories.map(category => [category, config.priority ?? 50]));
+
+    return {
+        name: config.name,
+        displayName: config.displayName || config.name,
+        categories: config.categories,
+        priority,
+        costPerImage: config.costPerImage ?? 0,
+        input: config.input || { maxDimension: 1024, format: 'jpeg', quality: 90 },
+        paramSchema: config.paramSchema || {},
+        usesPromptTemplates: config.usesPromptTemplates || false,
+        // Deployment ayarları da config'ten gelir (apiConfig'te kaydı yoktur)
+        enabled,
+        active: enabled,
+        timeout: config.timeout,
+        estimatedTime: config.estimatedTime,
+        processVirtualTryOn,
+        healthCheck
+    };
+};
+
+/**
+ * Config'i oku: HTTP_PROVIDERS_JSON (inline) → HTTP_PROVIDERS_CONFIG / config/httpProviders.json
+ * @returns {array} Config kayıtları (yoksa boş)
+ */
+const loadHttpProviderConfigs = () => {
+    if (process.env.HTTP_PROVIDERS_JSON) {
+        return JSON.parse(process.env.HTTP_PROVIDERS_JSON);
+    }
+
+    const configPath = process.env.HTTP_PROVIDERS_CONFIG || DEFAULT_CONFIG_PATH;
+    if (!fs.existsSync(configPath)) return [];
+
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+};
+
+// ============================================
+// PROVIDER TANIMLARI (providers/index.js registry'si için)
+// ============================================
+
+const providers = loadHttpProviderConfigs().map(createHttpProvider);
+
+module.exports = {
+    providers,
+    createHttpProvider,
+    loadHttpProviderConfigs,
+    getByPath,
+    renderTemplate
+};
@@ -5,8 +5,10 @@
 
 const Replicate = require('replicate');
 const fs = require('fs').promises;
-const path = require('path');
-const { getApiConfig, validateCategory } = require('./apiConfig');
+const { toDataUrl } = require('../fileSniffer');
+const { getApiConfig, supportsCategory } = require('../apiConfig');
+const { createWebhookPrediction } = require('../replicatePredictions');
+const { describeGarment } = require('../garmentMetadata');
 
 // ============================================
 // REPLICATE CLIENT
@@ -40,11 +42,8 @@ const imageToBase64 = async (imagePath) => {
         const imageBuffer = await fs.readFile(imagePath);
         console.log('📊 Buffer size:', imageBuffer.length);
         
-        const base64 = imageBuffer.toString('base64');
-        const mimeType = path.extname(imagePath).toLowerCase() === '.png' 
-            ? 'image/png' 
-            : 'image/jpeg';
-        const dataUrl = `data:${mimeType};base64,${base64}`;
+        // MIME türü uzantıdan değil dosyanın gerçek byte'larından tespit edilir
+        const dataUrl = toDataUrl(imageBuffer);
         
         console.log('✅ Base64 conversion successful, size:', dataUrl.length);
         return dataUrl;
@@ -142,34 +141,60 @@ const processReplicateOutput = async (output) => {
 // ANA SERVİS FONKSİYONU
 // ============================================
 
+/**
+ * IDM-VTON model input'unu hazırla (senkron çağrı ve webhook'lu prediction için ortak)
+ * @returns {Promise<object>} { apiConfig, input }
+ */
+const buildIdmVtonInput = async (userImagePath, clothingImagePath, category, options = {}) => {
+    console.log(`👤 User image: ${userImagePath}`);
+    console.log(`👕 Clothing image: ${clothingImagePath}`);
+    console.log(`📂 Category: ${category}`);
+    
+    // Kategori validasyonu
+    if (!supportsCategory('idm-vton', category)) {
+        throw new Error(`Invalid category: ${category}`);
+    }
+    
+    // API config al
+    const apiConfig = getApiConfig('idm-vton');
+    if (!apiConfig.active) {
+        throw new Error('IDM-VTON API is not active');
+    }
+    
+    // Görselleri base64'e çevir
+    const humanImage = await imageToBase64(userImagePath);
+    const garmImage = await imageToBase64(clothingImagePath);
+    
+    return {
+        apiConfig,
+        input: {
+            human_img: humanImage,
+            garm_img: garmImage,
+            category: category,
+            // Öncelik: istekteki garment metadata → yayınlanmış prompt template'i → kategori adı
+            garment_des: describeGarment(options.garmentMetadata, category)
+                || options.prompt?.prompt
+                || `${category.replace('_', ' ')} clothing item`,
+            // ApiManager paramSchema'ya göre doldurulmuş etkin parametreleri gönderir (seed dahil)
+            ...options.params
+        }
+    };
+};
+
 /**
  * IDM-VTON ile Virtual Try-On işlemi
  * @param {string} userImagePath - Kullanıcı fotoğrafı path
  * @param {string} clothingImagePath - Kıyafet fotoğrafı path
  * @param {string} category - Kategori (upper_body, lower_body, dresses)
+ * @param {object} options - { signal, prompt, params, garmentMetadata } AbortSignal (timeout), prompt / parametre override'ları,
+ *                          kıyafet metadata'sı (garmentMetadata)
  * @returns {Promise<string>} İşlenmiş görsel URL'i
  */
-const processWithIdmVton = async (userImagePath, clothingImagePath, category) => {
+const processWithIdmVton = async (userImagePath, clothingImagePath, category, options = {}) => {
     try {
         console.log('🎯 IDM-VTON Processing started...');
-        console.log(`👤 User image: ${userImagePath}`);
-        console.log(`👕 Clothing image: ${clothingImagePath}`);
-        console.log(`📂 Category: ${category}`);
         
-        // Kategori validasyonu
-        if (!validateCategory(category)) {
-            throw new Error(`Invalid category: ${category}`);
-        }
-        
-        // API config al
-        const apiConfig = getApiConfig('idm-vton');
-        if (!apiConfig.active) {
-            throw new Error('IDM-VTON API is not active');
-        }
-        
-        // Görselleri base64'e çevir
-        const humanImage = await imageToBase64(userImagePath);
-        const garmImage = await imageToBase64(clothingImagePath);
+        const { apiConfig, input } = await buildIdmVtonInput(userImagePath, clothingImagePath, category, options);
         
         console.log('📤 Calling Replicate API...');
         
@@ -180,17 +205,9 @@ const processWithIdmVton = async (userImagePath, clothingImagePath, category) =>
         const output = await replicate.run(
             apiConfig.model,
             {
-                input: {
-                    human_img: humanImage,
-                    garm_img: garmImage,
-                    category: category,
-                    garment_des: `${category.replace('_', ' ')} clothing item`,
-                    crop: false,
-                    seed: Math.floor(Math.random() * 1000000),
-                    steps: 30,
-                    mask_only: false,
-                    force_dc: false
-                }
+                input,
+                // ApiManager timeout'unda istek iptal edilir
+                signal: options.signal
             }
         );
         
@@ -206,7 +223,25 @@ const processWithIdmVton = async (userImagePath, clothingImagePath, category) =>
         
     } catch (error) {
         console.error('💥 IDM-VTON processing error:', error);
-        throw new Error(`IDM-VTON processing failed: ${error.message}`);
+        throw new Error(`IDM-VTON processing failed: ${error.message}`, { cause: error });
+    }
+};
+
+/**
+ * Webhook'lu IDM-VTON prediction'ı oluştur (sonuç /api/webhooks/replicate'e gelir)
+ * @returns {Promise<object>} { predictionId, status }
+ */
+const createIdmVtonPrediction = async (userImagePath, clothingImagePath, category, options = {}) => {
+    try {
+        console.log('🎯 IDM-VTON prediction requested...');
+        
+        const { apiConfig, input } = await buildIdmVtonInput(userImagePath, clothingImagePath, category, options);
+        
+        return await createWebhookPrediction(getReplicateClient(), apiConfig.model, input);
+        
+    } catch (error) {
+        console.error('💥 IDM-VTON prediction error:', error);
+        throw new Error(`IDM-VTON prediction failed: ${error.message}`, { cause: error });
     }
 };
 
@@ -218,8 +253,15 @@ const processWithIdmVton = async (userImagePath, clothingImagePath, category) =>
  * ApiManager için standart interface
  * Bu fonksiyon apiManager.js tarafından çağrılır
  */
-const processVirtualTryOn = async (userImagePath, clothingImagePath, category) => {
-    return await processWithIdmVton(userImagePath, clothingImagePath, category);
+const processVirtualTryOn = async (userImagePath, clothingImagePath, category, options = {}) => {
+    return await processWithIdmVton(userImagePath, clothingImagePath, category, options);
+};
+
+/**
+ * ApiManager için webhook modu interface'i
+ */
+const createPrediction = async (userImagePath, clothingImagePath, category, options = {}) => {
+    return await createIdmVtonPrediction(userImagePath, clothingImagePath, category, options);
 };
 
 // ============================================
@@ -251,13 +293,55 @@ const healthCheck = async () => {
     }
 };
 
+// ============================================
+// PROVIDER TANIMI (providers/index.js registry'si için)
+// ============================================
+
+const provider = {
+    name: 'idm-vton',
+    displayName: 'IDM-VTON',
+    categories: ['upper_body', 'lower_body', 'dresses'],
+    priority: {
+        upper_body: 2,
+        lower_body: 2,
+        dresses: 2
+    },
+    costPerImage: 0.01,
+    // Provider'a gönderilmeden önce görseller bu boyut/formata getirilir
+    input: {
+        maxDimension: 1024,
+        format: 'jpeg',
+        quality: 90
+    },
+    // Replicate model parametreleri (istekteki params bu şemaya göre doğrulanır)
+    paramSchema: {
+        steps: { type: 'integer', min: 1, max: 40, default: 30, description: 'Number of denoising steps' },
+        seed: { type: 'integer', min: 0, max: 2147483647, random: true, description: 'Random seed (random if omitted)' },
+        crop: { type: 'boolean', default: false, description: 'Crop the person image to 3:4 before processing' },
+        force_dc: {
+            type: 'boolean',
+            default: false,
+            fixedFor: { dresses: true },
+            description: 'Use the DressCode model (always on for dresses)'
+        }
+    },
+    processVirtualTryOn,
+    createPrediction,
+    // Webhook'la gelen prediction output'undan sonuç URL'i
+    extractOutput: processReplicateOutput,
+    healthCheck
+};
+
 // ============================================
 // EXPORT
 // ============================================
 
 module.exports = {
+    provider,
     processWithIdmVton,
+    createIdmVtonPrediction,
     processVirtualTryOn,  // ← ApiManager için
+    createPrediction,
     healthCheck,
     imageToBase64,
     processReplicateOutput
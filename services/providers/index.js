@@ -0,0 +1,150 @@
+// services/providers/index.js
+/**
+ * Provider Registry
+ * Bu klasördeki her provider modülü `provider` tanımını export eder:
+ * { name, displayName, categories, priority, costPerImage, input, paramSchema, processVirtualTryOn, healthCheck? }
+ * paramSchema istekte ayarlanabilen model parametrelerini tanımlar (bkz. providerParams.js).
+ * Webhook modunu destekleyen provider'lar ayrıca createPrediction ve extractOutput tanımlar.
+ * HTTP endpoint'leri kod yazmadan config/httpProviders.json ile eklenir (httpProviderService.js).
+ *
+ * Registry modülleri otomatik keşfeder. apiConfig.js'teki aynı isimli kayıt deployment
+ * ayarlarını (enabled, active, model, timeout) tutar ve tanımdaki değerleri ezebilir
+ * (ör. priority). provider_settings tablosundaki runtime durum (enabled, draining, priority)
+ * en son uygulanır. Routing kararları sadece buradaki birleştirilmiş ayarlardan verilir.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { apiConfig } = require('../apiConfig');
+const { getProviderOverride } = require('../providerState');
+
+const REQUIRED_FIELDS = ['name', 'categories', 'priority', 'processVirtualTryOn'];
+
+// Kategori için priority tanımlanmamışsa provider en sona düşer
+const DEFAULT_PRIORITY = 999;
+
+const providers = new Map();
+
+/**
+ * Provider tanımını registry'e ekle
+ * @param {object} provider - Provider tanımı
+ */
+const registerProvider = (provider) => {
+    const missing = REQUIRED_FIELDS.filter(field => !provider[field]);
+    if (missing.length > 0) {
+        throw new Error(`Invalid provider definition (${provider.name || 'unnamed'}): missing ${missing.join(', ')}`);
+    }
+
+    if (providers.has(provider.name)) {
+        throw new Error(`Provider already registered: ${provider.name}`);
+    }
+
+    providers.set(provider.name, provider);
+};
+
+/**
+ * Klasördeki provider modüllerini yükle
+ * Modül tek bir `provider` veya config'ten üretilen `providers` dizisi export edebilir
+ * (bkz. httpProviderService.js)
+ */
+const discoverProviders = () => {
+    const files = fs.readdirSync(__dirname)
+        .filter(file => file.endsWith('.js') && file !== 'index.js')
+        .sort();
+
+    for (const file of files) {
+        const { provider, providers: definitions = [] } = require(path.join(__dirname, file));
+        for (const definition of provider ? [provider, ...definitions] : definitions) {
+            registerProvider(definition);
+        }
+    }
+
+    console.log(`🧩 Providers registered: ${[...providers.keys()].join(', ')}`);
+};
+
+/**
+ * Provider tanımını al (processVirtualTryOn, healthCheck dahil)
+ */
+const getProvider = (name) => providers.get(name) || null;
+
+/**
+ * Kayıtlı provider isimleri
+ */
+const getProviderNames = () => [...providers.keys()];
+
+/**
+ * Provider tanımı + apiConfig ayarları + runtime durum (sonraki öncekini ezer)
+ * @param {string} name - Provider adı
+ * @returns {object|null}
+ */
+const getProviderSettings = (name) => {
+    const provider = providers.get(name);
+    if (!provider) return null;
+
+    const { processVirtualTryOn, healthCheck, ...declaration } = provider;
+    const overrides = apiConfig[name] || {};
+    const runtime = getProviderOverride(name) || {};
+
+    const settings = {
+        enabled: false,
+        active: false,
+        ...declaration,
+        ...overrides,
+        draining: runtime.draining || false,
+        // Config'te ve runtime'da sadece değişen kategorilerin priority'si yazılabilir
+        priority: { ...declaration.priority, ...overrides.priority, ...runtime.priority }
+    };
+
+    // Admin API'sinden açılan / kapatılan provider (null: apiConfig'teki değer geçerli)
+    if (typeof runtime.enabled === 'boolean') {
+        settings.enabled = runtime.enabled;
+        settings.active = runtime.enabled;
+    }
+
+    return settings;
+};
+
+/**
+ * Provider bu kategoriyi destekliyor mu?
+ */
+const supportsCategory = (name, category) => {
+    const settings = getProviderSettings(name);
+    return !!settings && settings.categories.includes(category);
+};
+
+/**
+ * Kullanılabilir (enabled + active) provider'lar
+ * Drain modundaki provider'lar yeni iş almaz (devam eden çağrılar ve webhook'lar tamamlanır)
+ */
+const getActiveProviders = () => {
+    return getProviderNames().filter(name => {
+        const settings = getProviderSettings(name);
+        return settings.enabled && settings.active && !settings.draining;
+    });
+};
+
+/**
+ * Kategoriyi destekleyen aktif provider'ları priority sırasıyla döndür (küçük değer önce)
+ * @param {string} category - Kategori
+ * @param {array} candidates - Aday provider isimleri (varsayılan: aktif provider'lar)
+ * @returns {array} Provider isimleri
+ */
+const rankProviders = (category, candidates = getActiveProviders()) => {
+    const priorityOf = (name) => getProviderSettings(name).priority[category] ?? DEFAULT_PRIORITY;
+
+    return candidates
+        .filter(name => supportsCategory(name, category))
+        .sort((a, b) => priorityOf(a) - priorityOf(b));
+};
+
+discoverProviders();
+
+module.exports = {
+    registerProvider,
+    getProvider,
+    getProviderNames,
+    getProviderSettings,
+    supportsCategory,
+    getActiveProviders,
+    rankProviders
+};
@@ -0,0 +1,203 @@
+/**
+ * Mock Try-On Service
+ * Offline geliştirme ve CI için: dış servis çağırmadan iki görseli sharp ile birleştirir.
+ * Aynı girdiler her zaman aynı çıktıyı ve URL'i üretir. Gecikme ve hata enjeksiyonu
+ * apiConfig.mock ayarlarıyla (MOCK_* env değişkenleri) yapılır.
+ */
+
+const sharp = require('sharp');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { getApiConfig, supportsCategory } = require('../apiConfig');
+
+// Üretilen görseller app.js'te /mock-results altında sunulur
+const OUTPUT_DIR = path.join(__dirname, '..', '..', 'public', 'mock-results');
+
+const OUTPUT_SIZE = { width: 768, height: 1024 };
+
+// Kıyafetin kişi görseli üzerindeki konumu (oranlar) ve genişliği
+const garmentPlacement = {
+    upper_body: { top: 0.2, width: 0.45 },
+    lower_body: { top: 0.5, width: 0.4 },
+    dresses: { top: 0.25, width: 0.5 },
+    outerwear: { top: 0.18, width: 0.55 },
+    shoes: { top: 0.82, width: 0.3 }
+};
+
+// ============================================
+// YARDIMCI FONKSİYONLAR
+// ============================================
+
+/**
+ * Signal'e duyarlı bekleme (timeout'ta hemen iptal olur)
+ */
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        return reject(signal.reason || new Error('Aborted'));
+    }
+
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(signal.reason || new Error('Aborted'));
+    }, { once: true });
+});
+
+/**
+ * Yapılandırılmış oranda hata fırlat
+ * failureStatus verilmişse hata Replicate ApiError gibi response.status taşır (retry testleri için)
+ */
+const maybeFail = (config) => {
+    if (config.failureRate <= 0 || Math.random() >= config.failureRate) return;
+
+    const error = new Error(`Injected mock failure (HTTP ${config.failureStatus})`);
+    error.response = { status: config.failureStatus };
+    throw error;
+};
+
+/**
+ * Kişi görseli üzerine kıyafeti kategoriye göre yerleştir
+ * @returns {Promise<Buffer>} JPEG
+ */
+const composeImages = async (userImagePath, clothingImagePath, category) => {
+    const placement = garmentPlacement[category] || garmentPlacement.upper_body;
+
+    const person = await sharp(userImagePath)
+        .resize(OUTPUT_SIZE.width, OUTPUT_SIZE.height, { fit: 'cover' })
+        .toBuffer();
+
+    const garmentWidth = Math.round(OUTPUT_SIZE.width * placement.width);
+    const garment = await sharp(clothingImagePath)
+        .resize({ width: garmentWidth, height: Math.round(OUTPUT_SIZE.height * 0.4), fit: 'inside' })
+        .toBuffer({ resolveWithObject: true });
+
+    const top = Math.min(
+        Math.round(OUTPUT_SIZE.height * placement.top),
+        OUTPUT_SIZE.height - garment.info.height
+    );
+    const left = Math.round((OUTPUT_SIZE.width - garment.info.width) / 2);
+
+    return sharp(person)
+        .composite([{ input: garment.data, top, left }])
+        .jpeg({ quality: 90 })
+        .toBuffer();
+};
+
+// ============================================
+// ANA SERVİS FONKSİYONU
+// ============================================
+
+/**
+ * Mock Virtual Try-On
+ * @param {string} userImagePath - Kişi fotoğrafı
+ * @param {string} clothingImagePath - Kıyafet fotoğrafı
+ * @param {string} category - Kategori
+ * @param {object} options - { signal } AbortSignal (timeout)
+ * @returns {Promise<string>} Local sonuç URL'i
+ */
+const processWithMock = async (userImagePath, clothingImagePath, category, options = {}) => {
+    try {
+        console.log(`🧪 Mock Processing started (${category})...`);
+
+        if (!supportsCategory('mock', category)) {
+            throw new Error(`Invalid category: ${category}`);
+        }
+
+        const apiConfig = getApiConfig('mock');
+        if (!apiConfig.active) {
+            throw new Error('Mock API is not active');
+        }
+
+        await delay(apiConfig.latencyMs, options.signal);
+        maybeFail(apiConfig);
+
+        const output = await composeImages(userImagePath, clothingImagePath, category);
+
+        // Aynı girdiler → aynı dosya adı
+        const [userBuffer, clothingBuffer] = await Promise.all([
+            fs.readFile(userImagePath),
+            fs.readFile(clothingImagePath)
+        ]);
+        const fileName = `${crypto.createHash('sha256')
+            .update(userBuffer)
+            .update(clothingBuffer)
+            .update(category)
+            .digest('hex')
+            .slice(0, 32)}.jpg`;
+
+        await fs.mkdir(OUTPUT_DIR, { recursive: true });
+        await fs.writeFile(path.join(OUTPUT_DIR, fileName), output);
+
+        const resultUrl = `${apiConfig.publicUrl}/mock-results/${fileName}`;
+        console.log('🧪 Mock result URL:', resultUrl);
+
+        return resultUrl;
+
+    } catch (error) {
+        console.error('💥 Mock processing error:', error.message);
+        throw new Error(`Mock processing failed: ${error.message}`, { cause: error });
+    }
+};
+
+// ============================================
+// API MANAGER İÇİN WRAPPER FONKSİYON
+// ============================================
+
+const processVirtualTryOn = async (userImagePath, clothingImagePath, category, options = {}) => {
+    return await processWithMock(userImagePath, clothingImagePath, category, options);
+};
+
+// ============================================
+// SAĞLIK KONTROLÜ
+// ============================================
+
+const healthCheck = async () => {
+    const apiConfig = getApiConfig('mock');
+
+    return {
+        service: 'Mock',
+        status: apiConfig.active ? 'active' : 'inactive',
+        latencyMs: apiConfig.latencyMs,
+        failureRate: apiConfig.failureRate,
+        costPerImage: `$${apiConfig.costPerImage}`
+    };
+};
+
+// ============================================
+// PROVIDER TANIMI (providers/index.js registry'si için)
+// ============================================
+
+const provider = {
+    name: 'mock',
+    displayName: 'Mock',
+    categories: Object.keys(garmentPlacement),
+    // Gerçek provider'lardan sonra denenir; öne almak için apiConfig.mock.priority kullanılır
+    priority: {
+        upper_body: 10,
+        lower_body: 10,
+        dresses: 10,
+        outerwear: 10,
+        shoes: 10
+    },
+    costPerImage: 0,
+    input: {
+        maxDimension: 1024,
+        format: 'jpeg',
+        quality: 90
+    },
+    paramSchema: {},
+    processVirtualTryOn,
+    healthCheck
+};
+
+// ============================================
+// EXPORT
+// ============================================
+
+module.exports = {
+    provider,
+    processWithMock,
+    processVirtualTryOn,
+    healthCheck
+};
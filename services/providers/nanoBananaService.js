@@ -5,8 +5,10 @@
 
 const Replicate = require('replicate');
 const fs = require('fs').promises;
-const path = require('path');
-const { getApiConfig, validateCategory } = require('./apiConfig');
+const { toDataUrl } = require('../fileSniffer');
+const { getApiConfig, supportsCategory, generatePrompt } = require('../apiConfig');
+const { createWebhookPrediction } = require('../replicatePredictions');
+const { describeGarment } = require('../garmentMetadata');
 
 // ============================================
 // REPLICATE CLIENT
@@ -28,14 +30,11 @@ const getReplicateClient = () => {
 };
 
 // ============================================
-// KATEGORİ BAZLI PROMPTLAR
+// DESTEKLENEN KATEGORİLER
 // ============================================
 
-const virtualTryOnPrompts = {
-    upper_body: "Wear the upper body outfit in the second image as a virtual try-on on the upper body of the person in the first image.",
-    lower_body: "Wear the lower body outfit in the second image as a virtual try-on on the lower body of the person in the first image.",
-    dresses: "Wear the full outfit in the second image as a virtual try-on on the full body of the person in the first image."
-};
+// Prompt'lar prompt_templates tablosundan (yoksa apiConfig.promptTemplates'ten) gelir
+const categories = ['upper_body', 'lower_body', 'dresses', 'outerwear', 'shoes'];
 
 // ============================================
 // YARDIMCI FONKSİYONLAR
@@ -48,11 +47,8 @@ const imageToBase64 = async (imagePath) => {
     try {
         console.log('📷 Reading image:', imagePath);
         const imageBuffer = await fs.readFile(imagePath);
-        const base64 = imageBuffer.toString('base64');
-        const mimeType = path.extname(imagePath).toLowerCase() === '.png' 
-            ? 'image/png' 
-            : 'image/jpeg';
-        const dataUrl = `data:${mimeType};base64,${base64}`;
+        // MIME türü uzantıdan değil dosyanın gerçek byte'larından tespit edilir
+        const dataUrl = toDataUrl(imageBuffer);
         
         console.log('✅ Base64 conversion successful');
         return dataUrl;
@@ -110,42 +106,73 @@ const processNanoBananaOutput = (output) => {
 // ANA SERVİS FONKSİYONU
 // ============================================
 
+/**
+ * Nano Banana model input'unu hazırla (senkron çağrı ve webhook'lu prediction için ortak)
+ * @returns {Promise<object>} { apiConfig, input }
+ */
+const buildNanoBananaInput = async (userImagePath, clothingImagePath, category, options = {}) => {
+    console.log(`👤 Person image (1st): ${userImagePath}`);
+    console.log(`👕 Clothing image (2nd): ${clothingImagePath}`);
+    console.log(`📂 Category: ${category}`);
+    
+    // Kategori validasyonu
+    if (!supportsCategory('nano-banana', category)) {
+        throw new Error(`Invalid category: ${category}`);
+    }
+    
+    // API config al
+    const apiConfig = getApiConfig('nano-banana');
+    if (!apiConfig.active) {
+        throw new Error('Nano Banana API is not active');
+    }
+    
+    // ApiManager yayındaki prompt template'ini (veya experiment variant'ını) gönderir
+    const basePrompt = options.prompt?.prompt || generatePrompt(category).prompt;
+
+    // İstekte kıyafet metadata'sı varsa prompt'a kıyafet tanımı eklenir
+    const garmentDescription = describeGarment(options.garmentMetadata, category);
+    const prompt = garmentDescription
+        ? `${basePrompt} The garment in the second image is: ${garmentDescription}.`
+        : basePrompt;
+    
+    console.log(`📝 Prompt (v${options.prompt?.version ?? 0}):`, prompt);
+    
+    // Görselleri base64'e çevir
+    const personImageBase64 = await imageToBase64(userImagePath);
+    const clothingImageBase64 = await imageToBase64(clothingImagePath);
+    
+    // image_input: Array olarak her iki görseli gönder
+    // 1. görsel: Kişi
+    // 2. görsel: Kıyafet
+    // Prompt: Kategoriye özel
+    return {
+        apiConfig,
+        input: {
+            prompt: prompt,
+            image_input: [
+                personImageBase64,      // 1. görsel (kişi)
+                clothingImageBase64     // 2. görsel (kıyafet)
+            ],
+            // ApiManager paramSchema'ya göre doldurulmuş etkin parametreleri gönderir
+            ...options.params
+        }
+    };
+};
+
 /**
  * Nano Banana ile Virtual Try-On
  * @param {string} userImagePath - Kişi fotoğrafı (1. görsel)
  * @param {string} clothingImagePath - Kıyafet fotoğrafı (2. görsel)
- * @param {string} category - Kategori (upper_body, lower_body, dresses)
+ * @param {string} category - Kategori (upper_body, lower_body, dresses, outerwear, shoes)
+ * @param {object} options - { signal, prompt, params, garmentMetadata } AbortSignal (timeout), prompt / parametre override'ları,
+ *                          kıyafet metadata'sı (garmentMetadata)
  * @returns {Promise<string>} İşlenmiş görsel URL'i
  */
-const processWithNanoBanana = async (userImagePath, clothingImagePath, category) => {
+const processWithNanoBanana = async (userImagePath, clothingImagePath, category, options = {}) => {
     try {
         console.log('🌟 Nano Banana Processing started...');
-        console.log(`👤 Person image (1st): ${userImagePath}`);
-        console.log(`👕 Clothing image (2nd): ${clothingImagePath}`);
-        console.log(`📂 Category: ${category}`);
-        
-        // Kategori validasyonu
-        if (!validateCategory(category)) {
-            throw new Error(`Invalid category: ${category}`);
-        }
-        
-        // API config al
-        const apiConfig = getApiConfig('nano-banana');
-        if (!apiConfig.active) {
-            throw new Error('Nano Banana API is not active');
-        }
-        
-        // Kategori bazlı prompt al
-        const prompt = virtualTryOnPrompts[category];
-        if (!prompt) {
-            throw new Error(`No prompt found for category: ${category}`);
-        }
         
-        console.log('📝 Category-specific prompt:', prompt);
-        
-        // Görselleri base64'e çevir
-        const personImageBase64 = await imageToBase64(userImagePath);
-        const clothingImageBase64 = await imageToBase64(clothingImagePath);
+        const { apiConfig, input } = await buildNanoBananaInput(userImagePath, clothingImagePath, category, options);
         
         console.log('📤 Calling Replicate Nano Banana API...');
         
@@ -153,22 +180,12 @@ const processWithNanoBanana = async (userImagePath, clothingImagePath, category)
         const replicate = getReplicateClient();
         
         // Nano Banana API'sine gönder
-        // image_input: Array olarak her iki görseli gönder
-        // 1. görsel: Kişi
-        // 2. görsel: Kıyafet
-        // Prompt: Kategoriye özel
         const output = await replicate.run(
-            "google/nano-banana",
+            apiConfig.model,
             {
-                input: {
-                    prompt: prompt,
-                    image_input: [
-                        personImageBase64,      // 1. görsel (kişi)
-                        clothingImageBase64     // 2. görsel (kıyafet)
-                    ],
-                    aspect_ratio: "match_input_image",
-                    output_format: "jpg"
-                }
+                input,
+                // ApiManager timeout'unda istek iptal edilir
+                signal: options.signal
             }
         );
         
@@ -184,7 +201,25 @@ const processWithNanoBanana = async (userImagePath, clothingImagePath, category)
         
     } catch (error) {
         console.error('💥 Nano Banana processing error:', error);
-        throw new Error(`Nano Banana processing failed: ${error.message}`);
+        throw new Error(`Nano Banana processing failed: ${error.message}`, { cause: error });
+    }
+};
+
+/**
+ * Webhook'lu Nano Banana prediction'ı oluştur (sonuç /api/webhooks/replicate'e gelir)
+ * @returns {Promise<object>} { predictionId, status }
+ */
+const createNanoBananaPrediction = async (userImagePath, clothingImagePath, category, options = {}) => {
+    try {
+        console.log('🌟 Nano Banana prediction requested...');
+        
+        const { apiConfig, input } = await buildNanoBananaInput(userImagePath, clothingImagePath, category, options);
+        
+        return await createWebhookPrediction(getReplicateClient(), apiConfig.model, input);
+        
+    } catch (error) {
+        console.error('💥 Nano Banana prediction error:', error);
+        throw new Error(`Nano Banana prediction failed: ${error.message}`, { cause: error });
     }
 };
 
@@ -196,8 +231,15 @@ const processWithNanoBanana = async (userImagePath, clothingImagePath, category)
  * ApiManager için standart interface
  * Bu fonksiyon apiManager.js tarafından çağrılır
  */
-const processVirtualTryOn = async (userImagePath, clothingImagePath, category) => {
-    return await processWithNanoBanana(userImagePath, clothingImagePath, category);
+const processVirtualTryOn = async (userImagePath, clothingImagePath, category, options = {}) => {
+    return await processWithNanoBanana(userImagePath, clothingImagePath, category, options);
+};
+
+/**
+ * ApiManager için webhook modu interface'i
+ */
+const createPrediction = async (userImagePath, clothingImagePath, category, options = {}) => {
+    return await createNanoBananaPrediction(userImagePath, clothingImagePath, category, options);
 };
 
 // ============================================
@@ -231,13 +273,55 @@ const healthCheck = async () => {
     }
 };
 
+// ============================================
+// PROVIDER TANIMI (providers/index.js registry'si için)
+// ============================================
+
+const provider = {
+    name: 'nano-banana',
+    displayName: 'Nano Banana',
+    categories,
+    priority: {
+        upper_body: 1,
+        lower_body: 1,
+        dresses: 1,
+        outerwear: 1,
+        shoes: 1
+    },
+    costPerImage: 0.005,
+    // Prompt template'i yayında değilse apiConfig.promptTemplates kullanılır
+    usesPromptTemplates: true,
+    input: {
+        maxDimension: 1536,
+        format: 'jpeg',
+        quality: 92
+    },
+    paramSchema: {
+        aspect_ratio: {
+            type: 'string',
+            enum: ['match_input_image', '1:1', '2:3', '3:2', '3:4', '4:3', '4:5', '5:4', '9:16', '16:9', '21:9'],
+            default: 'match_input_image',
+            description: 'Output aspect ratio'
+        },
+        output_format: { type: 'string', enum: ['jpg', 'png'], default: 'jpg', description: 'Output image format' }
+    },
+    processVirtualTryOn,
+    createPrediction,
+    // Webhook'la gelen prediction output'undan sonuç URL'i
+    extractOutput: processNanoBananaOutput,
+    healthCheck
+};
+
 // ============================================
 // EXPORT
 // ============================================
 
 module.exports = {
+    provider,
     processWithNanoBanana,
+    createNanoBananaPrediction,
     processVirtualTryOn,
+    createPrediction,
     healthCheck,
     imageToBase64,
     processNanoBananaOutput
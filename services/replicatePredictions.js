@@ -0,0 +1,96 @@
+// services/replicatePredictions.js
+/**
+ * Replicate Webhook Predictions
+ * Kuyruktaki job'larda provider'lar replicate.run ile sonucu beklemek yerine webhook'lu
+ * prediction oluşturur. Replicate prediction bitince /api/webhooks/replicate'e imzalı
+ * istek gönderir; generation orada tamamlanır (süreç yeniden başlasa bile).
+ */
+
+const { validateWebhook } = require('replicate');
+const { replicateWebhookConfig } = require('./apiConfig');
+
+/**
+ * Webhook modu açık mı? (public URL ve signing secret tanımlı olmalı)
+ */
+const isWebhookModeEnabled = () => replicateWebhookConfig.enabled;
+
+/**
+ * Replicate'in çağıracağı webhook URL'i
+ */
+const getWebhookUrl = () => {
+    return `${replicateWebhookConfig.publicUrl.replace(/\/+$/, '')}${replicateWebhookConfig.path}`;
+};
+
+/**
+ * Model tanımından prediction hedefi
+ * "owner/name:version" → { version }, "owner/name" (official model) → { model }
+ */
+const getPredictionTarget = (model) => {
+    const [name, version] = model.split(':');
+    return version ? { version } : { model: name };
+};
+
+/**
+ * Webhook'lu prediction oluştur (sonucu beklemez)
+ * @param {Replicate} replicate - Provider'ın Replicate client'ı
+ * @param {string} model - apiConfig'teki model
+ * @param {object} input - Model input'u
+ * @returns {Promise<object>} { predictionId, status }
+ */
+const createWebhookPrediction = async (replicate, model, input) => {
+    const prediction = await replicate.predictions.create({
+        ...getPredictionTarget(model),
+        input,
+        webhook: getWebhookUrl(),
+        // Sadece prediction bittiğinde (succeeded / failed / canceled) bildirim gelir
+        webhook_events_filter: ['completed']
+    });
+
+    console.log(`📨 Replicate prediction created: ${prediction.id} (${prediction.status})`);
+
+    return {
+        predictionId: prediction.id,
+        status: prediction.status
+    };
+};
+
+/**
+ * Webhook isteğinin imzasını ve zaman damgasını doğrula
+ * @param {object} headers - İstek header'ları (webhook-id, webhook-timestamp, webhook-signature)
+ * @param {Buffer} rawBody - express.raw ile alınan gövde
+ * @returns {Promise<object>} { valid: true } veya { valid: false, error, code }
+ */
+const verifyWebhookRequest = async (headers, rawBody) => {
+    if (!isWebhookModeEnabled()) {
+        return { valid: false, error: 'Replicate webhooks are not configured', code: 'WEBHOOK_DISABLED' };
+    }
+
+    const timestamp = parseInt(headers['webhook-timestamp'], 10);
+    const ageSeconds = Math.abs(Date.now() / 1000 - timestamp);
+    if (!Number.isFinite(ageSeconds) || ageSeconds > replicateWebhookConfig.toleranceSeconds) {
+        return { valid: false, error: 'Webhook timestamp is missing or outside tolerance', code: 'WEBHOOK_EXPIRED' };
+    }
+
+    try {
+        const valid = await validateWebhook({
+            id: headers['webhook-id'],
+            timestamp: headers['webhook-timestamp'],
+            signature: headers['webhook-signature'],
+            body: rawBody.toString('utf8')
+        }, replicateWebhookConfig.secret);
+
+        return valid
+            ? { valid: true }
+            : { valid: false, error: 'Invalid webhook signature', code: 'INVALID_SIGNATURE' };
+
+    } catch (error) {
+        return { valid: false, error: error.message, code: 'INVALID_SIGNATURE' };
+    }
+};
+
+module.exports = {
+    isWebhookModeEnabled,
+    getWebhookUrl,
+    createWebhookPrediction,
+    verifyWebhookRequest
+};
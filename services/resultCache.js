@@ -0,0 +1,139 @@
+// services/resultCache.js
+/**
+ * Content-addressed Result Cache
+ * Aynı (normalize edilmiş) kişi görseli + kıyafet görseli + kategori + provider + prompt versiyonu
+ * (+ parametreler ve kıyafet metadata'sı) için üretilmiş sonuç TTL süresince tekrar kullanılır; provider çağrılmaz.
+ * Kayıtlar result_cache tablosunda SHA-256 anahtarıyla tutulur ve storage'daki sonucu gösterir.
+ * Hit'in credit'e mal olup olmadığı resultCacheConfig.hitPolicy ile belirlenir.
+ * Outfit ve experiment variant'ı atanmış istekler cache'lenmez.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { supabaseAdmin } = require('../config/supabase');
+const { resultCacheConfig } = require('./apiConfig');
+const { stableStringify } = require('./providerParams');
+
+const HIT_POLICIES = ['free', 'charge'];
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * Cache açık mı?
+ */
+const isResultCacheEnabled = () => resultCacheConfig.enabled && resultCacheConfig.ttlMs > 0;
+
+/**
+ * Cache hit'i credit düşürür mü? (geçersiz policy → 'free')
+ */
+const shouldChargeCacheHit = () => {
+    const policy = HIT_POLICIES.includes(resultCacheConfig.hitPolicy) ? resultCacheConfig.hitPolicy : 'free';
+    return policy === 'charge';
+};
+
+/**
+ * Normalize edilmiş upload dosyalarının hash'leri (bir job için bir kez hesaplanır)
+ * @returns {Promise<object>} { person, garment }
+ */
+const hashInputs = async (userImagePath, clothingImagePath) => {
+    const [person, garment] = await Promise.all([
+        fs.readFile(userImagePath),
+        fs.readFile(clothingImagePath)
+    ]);
+
+    return { person: sha256(person), garment: sha256(garment) };
+};
+
+/**
+ * Prompt'un anahtardaki karşılığı: versiyon + stil (prompt kullanmayan provider'da 'none')
+ */
+const promptKeyFor = (prompt) => (prompt ? `v${prompt.version}:${prompt.style || 'default'}` : 'none');
+
+/**
+ * Cache anahtarı: sha256(kişi hash | kıyafet hash | kategori | provider | prompt | params | garment)
+ * Sadece istekte verilen parametreler anahtara girer (varsayılan / rastgele seed'li istekler aynı kaydı paylaşır)
+ * Kıyafet metadata'sı provider prompt'unu değiştirdiği için anahtarın parçasıdır
+ * @param {object} inputHashes - hashInputs sonucu
+ * @param {object} request - { category, provider, prompt, params, garment } (prompt: resolvePrompt sonucu)
+ */
+const buildCacheKey = (inputHashes, { category, provider, prompt, params, garment }) => {
+    return sha256([
+        inputHashes.person,
+        inputHashes.garment,
+        category,
+        provider,
+        promptKeyFor(prompt),
+        stableStringify(params || {}),
+        stableStringify(garment || {})
+    ].join('|'));
+};
+
+/**
+ * Süresi dolmamış cache kaydı
+ * Hata durumunda cache atlanır (istek normal şekilde işlenir)
+ * @returns {Promise<object|null>} result_cache satırı
+ */
+const getCachedResult = async (cacheKey) => {
+    try {
+        const { data, error } = await supabaseAdmin
+            .from('result_cache')
+            .select('*')
+            .eq('cache_key', cacheKey)
+            .gt('expires_at', new Date().toISOString())
+            .maybeSingle();
+
+        if (error) throw error;
+
+        if (data) {
+            await supabaseAdmin
+                .from('result_cache')
+                .update({
+                    hit_count: (data.hit_count || 0) + 1,
+                    last_hit_at: new Date().toISOString()
+                })
+                .eq('cache_key', cacheKey);
+        }
+
+        return data;
+    } catch (error) {
+        console.warn('⚠️ Result cache lookup failed:', error.message);
+        return null;
+    }
+};
+
+/**
+ * Tamamlanan sonucu cache'e yaz (aynı anahtar varsa yenilenir)
+ * @param {string} cacheKey
+ * @param {object} entry - { generationId, resultKey, usedApi, category, params } (params: sonucu üreten etkin parametreler)
+ */
+const saveCachedResult = async (cacheKey, { generationId, resultKey, usedApi, category, params }) => {
+    try {
+        const now = Date.now();
+        const { error } = await supabaseAdmin
+            .from('result_cache')
+            .upsert({
+                cache_key: cacheKey,
+                generation_id: generationId,
+                result_image_url: resultKey,
+                api_used: usedApi,
+                category,
+                params: params || null,
+                hit_count: 0,
+                created_at: new Date(now).toISOString(),
+                expires_at: new Date(now + resultCacheConfig.ttlMs).toISOString()
+            });
+
+        if (error) throw error;
+    } catch (error) {
+        console.warn('⚠️ Result cache save failed:', error.message);
+    }
+};
+
+module.exports = {
+    isResultCacheEnabled,
+    shouldChargeCacheHit,
+    hashInputs,
+    buildCacheKey,
+    getCachedResult,
+    saveCachedResult
+};
@@ -0,0 +1,163 @@
+// services/routingPolicy.js
+/**
+ * Routing Policies
+ * Aday provider'ları seçilen policy'ye göre sıralar:
+ * - priority: provider tanımındaki kategori priority'si (varsayılan)
+ * - cheapest: costPerImage
+ * - fastest: circuit breaker'ın ölçtüğü p50 latency (ölçüm yoksa estimatedTime)
+ * - quality: generations.user_rating ortalaması (yeterli puan yoksa en sona)
+ * Adaylar zaten priority sırasında geldiği için eşitlikte priority sırası korunur.
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const { routingConfig } = require('./apiConfig');
+const { getProviderSettings } = require('./providers');
+const { getCircuitBreaker } = require('./circuitBreaker');
+
+const POLICIES = ['priority', 'cheapest', 'fastest', 'quality'];
+
+const isValidPolicy = (policy) => POLICIES.includes(policy);
+
+/**
+ * Kullanıcının segmentine göre uygulanacak policy
+ * @param {string} segment - users.segment
+ * @returns {object} { policy, segment, source: 'segment' | 'default' }
+ */
+const resolveRoutingPolicy = (segment) => {
+    const segmentPolicy = segment ? routingConfig.segmentPolicies[segment] : null;
+
+    if (segmentPolicy && isValidPolicy(segmentPolicy)) {
+        return { policy: segmentPolicy, segment, source: 'segment' };
+    }
+
+    const policy = isValidPolicy(routingConfig.defaultPolicy) ? routingConfig.defaultPolicy : 'priority';
+    return { policy, segment: segment || null, source: 'default' };
+};
+
+// ============================================
+// QUALITY SKORLARI (kullanıcı puanları)
+// ============================================
+
+let scoreCache = { scores: null, loadedAt: 0 };
+
+/**
+ * Provider bazında ortalama puanlar (kategori bazında ve genel), kısa süre cache'lenir
+ * @returns {Promise<object>} { [api]: { overall: { average, count }, categories: { [category]: { average, count } } } }
+ */
+const getQualityScores = async () => {
+    if (scoreCache.scores && Date.now() - scoreCache.loadedAt < routingConfig.scoreCacheTtlMs) {
+        return scoreCache.scores;
+    }
+
+    const since = new Date(Date.now() - routingConfig.qualityWindowDays * 24 * 60 * 60 * 1000);
+
+    const { data, error } = await supabaseAdmin
+        .from('generations')
+        .select('api_used, category, user_rating')
+        .not('user_rating', 'is', null)
+        .gte('created_at', since.toISOString())
+        .limit(5000);
+
+    if (error) throw error;
+
+    const totals = {};
+    const add = (bucket, rating) => {
+        bucket.sum += rating;
+        bucket.count++;
+    };
+
+    for (const row of data) {
+        if (!row.api_used) continue;
+
+        const api = totals[row.api_used] || (totals[row.api_used] = { overall: { sum: 0, count: 0 }, categories: {} });
+        const category = api.categories[row.category] || (api.categories[row.category] = { sum: 0, count: 0 });
+        add(api.overall, row.user_rating);
+        add(category, row.user_rating);
+    }
+
+    const toScore = ({ sum, count }) => ({ average: count > 0 ? sum / count : null, count });
+    const scores = {};
+    for (const [api, { overall, categories }] of Object.entries(totals)) {
+        scores[api] = {
+            overall: toScore(overall),
+            categories: Object.fromEntries(
+                Object.entries(categories).map(([category, bucket]) => [category, toScore(bucket)])
+            )
+        };
+    }
+
+    scoreCache = { scores, loadedAt: Date.now() };
+    return scores;
+};
+
+/**
+ * Provider'ın kategori için quality skoru (önce kategori, yetersizse genel ortalama)
+ */
+const qualityScoreFor = (scores, api, category) => {
+    const apiScores = scores[api];
+    if (!apiScores) return null;
+
+    const categoryScore = apiScores.categories[category];
+    if (categoryScore && categoryScore.count >= routingConfig.minRatings) {
+        return categoryScore.average;
+    }
+
+    return apiScores.overall.count >= routingConfig.minRatings ? apiScores.overall.average : null;
+};
+
+// ============================================
+// SIRALAMA
+// ============================================
+
+/**
+ * Ölçülen p50 latency (ms); henüz ölçüm yoksa estimatedTime
+ */
+const latencyFor = (api) => {
+    const { p50 } = getCircuitBreaker(api).getStats().window.latencyMs;
+    if (p50 !== null) return p50;
+
+    const { estimatedTime } = getProviderSettings(api);
+    return estimatedTime ? estimatedTime * 1000 : Infinity;
+};
+
+/**
+ * Adayları policy'ye göre sırala
+ * @param {string} policy - POLICIES değerlerinden biri
+ * @param {array} candidates - Priority sırasındaki provider isimleri
+ * @param {string} category - Kategori
+ * @returns {Promise<array>} Sıralanmış provider isimleri
+ */
+const rankByPolicy = async (policy, candidates, category) => {
+    if (policy === 'cheapest') {
+        const costOf = (api) => getProviderSettings(api).costPerImage ?? Infinity;
+        return [...candidates].sort((a, b) => costOf(a) - costOf(b));
+    }
+
+    if (policy === 'fastest') {
+        return [...candidates].sort((a, b) => latencyFor(a) - latencyFor(b));
+    }
+
+    if (policy === 'quality') {
+        let scores;
+        try {
+            scores = await getQualityScores();
+        } catch (error) {
+            console.warn('⚠️ Quality scores unavailable, using priority order:', error.message);
+            return candidates;
+        }
+
+        // Skoru olmayan provider'lar skorlu olanlardan sonra gelir
+        const scoreOf = (api) => qualityScoreFor(scores, api, category) ?? -Infinity;
+        return [...candidates].sort((a, b) => scoreOf(b) - scoreOf(a));
+    }
+
+    return candidates;
+};
+
+module.exports = {
+    POLICIES,
+    isValidPolicy,
+    resolveRoutingPolicy,
+    rankByPolicy,
+    getQualityScores
+};
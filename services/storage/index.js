@@ -0,0 +1,99 @@
+// services/storage/index.js
+/**
+ * Result Storage
+ * STORAGE_DRIVER ile seçilen driver üzerinden sonuç görsellerini saklar.
+ * generations.result_image_url alanına URL değil storage key yazılır;
+ * URL her istekte resolveResultUrl ile imzalı /results URL'i olarak üretilir.
+ *
+ * Driver interface: save(key, buffer, contentType), read(key), remove(key)
+ */
+
+const LocalStorageDriver = require('./localStorageDriver');
+const SupabaseStorageDriver = require('./supabaseStorageDriver');
+const { createSignedResultUrl } = require('./signedUrls');
+
+const storageConfig = {
+    driver: process.env.STORAGE_DRIVER || 'local',
+    supabase: {
+        bucket: process.env.SUPABASE_STORAGE_BUCKET || 'results'
+    },
+    s3: {
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    }
+};
+
+const drivers = {
+    local: () => new LocalStorageDriver(),
+    supabase: () => new SupabaseStorageDriver(storageConfig.supabase),
+    // AWS SDK sadece S3 driver seçiliyse yüklenir
+    s3: () => {
+        const S3StorageDriver = require('./s3StorageDriver');
+        return new S3StorageDriver(storageConfig.s3);
+    }
+};
+
+let storageDriver = null;
+
+/**
+ * Config'te seçili storage driver (lazy singleton)
+ */
+const getStorage = () => {
+    if (!storageDriver) {
+        const createDriver = drivers[storageConfig.driver];
+        if (!createDriver) {
+            throw new Error(`Unknown storage driver: ${storageConfig.driver}`);
+        }
+        storageDriver = createDriver();
+        console.log(`🗄️ Result storage driver: ${storageDriver.name}`);
+    }
+    return storageDriver;
+};
+
+/**
+ * generations.result_image_url değerinden storage key'i çıkar
+ * Eski kayıtlardaki host-derived /results/... URL'leri de key'e çevrilir;
+ * harici URL'ler (ör. provider URL'i) için null döner
+ */
+const getResultKey = (value) => {
+    if (!value) return null;
+    if (!/^https?:\/\//.test(value)) return value;
+
+    const match = new URL(value).pathname.match(/^\/results\/(.+)$/);
+    return match ? decodeURIComponent(match[1]) : null;
+};
+
+/**
+ * generations.result_image_url değerini imzalı, süresi dolan URL'e çevir
+ * @returns {object|null} { url, expiresAt }
+ */
+const createResultUrl = (value, baseUrl) => {
+    if (!value) return null;
+
+    const key = getResultKey(value);
+    if (!key) {
+        return { url: value, expiresAt: null };
+    }
+
+    return createSignedResultUrl(key, baseUrl);
+};
+
+/**
+ * generations.result_image_url değerini erişilebilir URL'e çevir
+ */
+const resolveResultUrl = (value, baseUrl) => {
+    const signed = createResultUrl(value, baseUrl);
+    return signed ? signed.url : null;
+};
+
+module.exports = {
+    storageConfig,
+    getStorage,
+    getResultKey,
+    createResultUrl,
+    resolveResultUrl
+};
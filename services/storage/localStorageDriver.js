@@ -0,0 +1,56 @@
+// services/storage/localStorageDriver.js
+/**
+ * Local Filesystem Storage Driver
+ * Sonuçları public/results altına yazar (tek instance / development için)
+ * Dosyalar /results handler'ı üzerinden imzalı URL ile sunulur
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Dosya sistemi content type saklamadığı için key uzantısından belirlenir
+const CONTENT_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.webp': 'image/webp'
+};
+
+class LocalStorageDriver {
+    constructor(options = {}) {
+        this.name = 'local';
+        this.rootDir = options.rootDir || path.join(__dirname, '..', '..', 'public', 'results');
+    }
+
+    /**
+     * Key'i root klasör dışına çıkamayacak şekilde path'e çevir
+     */
+    resolvePath(key) {
+        const filePath = path.resolve(this.rootDir, key);
+        if (!filePath.startsWith(path.resolve(this.rootDir) + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    }
+
+    async save(key, buffer, contentType) {
+        const filePath = this.resolvePath(key);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, buffer);
+        return { key, contentType };
+    }
+
+    async read(key) {
+        const buffer = await fs.readFile(this.resolvePath(key));
+        return {
+            buffer,
+            contentType: CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream'
+        };
+    }
+
+    async remove(key) {
+        await fs.unlink(this.resolvePath(key));
+    }
+}
+
+module.exports = LocalStorageDriver;
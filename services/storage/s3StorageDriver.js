@@ -0,0 +1,66 @@
+// services/storage/s3StorageDriver.js
+/**
+ * S3-Compatible Storage Driver
+ * AWS S3, Cloudflare R2, MinIO vb. S3 API'si sunan servisler için
+ */
+
+const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+
+class S3StorageDriver {
+    constructor(options = {}) {
+        if (!options.bucket) {
+            throw new Error('S3_BUCKET is not configured');
+        }
+
+        this.name = 's3';
+        this.bucket = options.bucket;
+        this.client = new S3Client({
+            region: options.region || 'auto',
+            endpoint: options.endpoint,
+            forcePathStyle: options.forcePathStyle,
+            credentials: options.accessKeyId
+                ? {
+                    accessKeyId: options.accessKeyId,
+                    secretAccessKey: options.secretAccessKey
+                }
+                : undefined
+        });
+    }
+
+    async save(key, buffer, contentType) {
+        await this.client.send(new PutObjectCommand({
+            Bucket: this.bucket,
+            Key: key,
+            Body: buffer,
+            ContentType: contentType
+        }));
+
+        return { key, contentType };
+    }
+
+    async read(key) {
+        const response = await this.client.send(new GetObjectCommand({
+            Bucket: this.bucket,
+            Key: key
+        }));
+
+        return {
+            buffer: Buffer.from(await response.Body.transformToByteArray()),
+            contentType: response.ContentType || 'image/jpeg'
+        };
+    }
+
+    async remove(key) {
+        await this.client.send(new DeleteObjectCommand({
+            Bucket: this.bucket,
+            Key: key
+        }));
+    }
+}
+
+module.exports = S3StorageDriver;
@@ -0,0 +1,75 @@
+// services/storage/signedUrls.js
+/**
+ * Signed Result URLs
+ * Sonuç görselleri /results/:key?expires=...&signature=... şeklinde,
+ * HMAC-SHA256 ile imzalanmış ve süresi dolan URL'lerle sunulur.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_TTL_SECONDS = parseInt(process.env.RESULT_URL_TTL_SECONDS || '3600', 10);
+
+let signingSecret = process.env.RESULT_URL_SECRET;
+
+if (!signingSecret) {
+    // Development: her restart'ta URL'ler geçersiz olur, production'da mutlaka set edilmeli
+    console.warn('⚠️ RESULT_URL_SECRET is not configured, using a random per-process secret');
+    signingSecret = crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Key + expiry için imza üret
+ */
+const sign = (key, expires) => {
+    return crypto
+        .createHmac('sha256', signingSecret)
+        .update(`${key}:${expires}`)
+        .digest('base64url');
+};
+
+/**
+ * Storage key için imzalı URL üret
+ * @param {string} key - Storage key
+ * @param {string} baseUrl - protocol://host
+ * @param {number} ttlSeconds - Geçerlilik süresi
+ * @returns {object} { url, expiresAt }
+ */
+const createSignedResultUrl = (key, baseUrl, ttlSeconds = DEFAULT_TTL_SECONDS) => {
+    const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+    const signature = sign(key, expires);
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+
+    return {
+        url: `${baseUrl}/results/${encodedKey}?expires=${expires}&signature=${signature}`,
+        expiresAt: new Date(expires * 1000).toISOString()
+    };
+};
+
+/**
+ * İmzalı URL parametrelerini doğrula
+ * @returns {object} { valid, reason }
+ */
+const verifySignedResultUrl = (key, expires, signature) => {
+    if (!expires || !signature) {
+        return { valid: false, reason: 'SIGNATURE_REQUIRED' };
+    }
+
+    const expiresAt = parseInt(expires, 10);
+    if (!Number.isFinite(expiresAt) || expiresAt < Math.floor(Date.now() / 1000)) {
+        return { valid: false, reason: 'URL_EXPIRED' };
+    }
+
+    const expected = Buffer.from(sign(key, expiresAt));
+    const provided = Buffer.from(String(signature));
+
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+        return { valid: false, reason: 'INVALID_SIGNATURE' };
+    }
+
+    return { valid: true };
+};
+
+module.exports = {
+    createSignedResultUrl,
+    verifySignedResultUrl
+};
@@ -0,0 +1,56 @@
+// services/storage/supabaseStorageDriver.js
+/**
+ * Supabase Storage Driver
+ * Sonuçları Supabase Storage bucket'ına yazar
+ */
+
+const { supabaseAdmin } = require('../../config/supabase');
+
+class SupabaseStorageDriver {
+    constructor(options = {}) {
+        this.name = 'supabase';
+        this.bucket = options.bucket || 'results';
+    }
+
+    async save(key, buffer, contentType) {
+        const { error } = await supabaseAdmin.storage
+            .from(this.bucket)
+            .upload(key, buffer, {
+                contentType,
+                upsert: false
+            });
+
+        if (error) {
+            throw new Error(`Supabase storage upload error: ${error.message}`);
+        }
+
+        return { key, contentType };
+    }
+
+    async read(key) {
+        const { data, error } = await supabaseAdmin.storage
+            .from(this.bucket)
+            .download(key);
+
+        if (error) {
+            throw new Error(`Supabase storage download error: ${error.message}`);
+        }
+
+        return {
+            buffer: Buffer.from(await data.arrayBuffer()),
+            contentType: data.type || 'image/jpeg'
+        };
+    }
+
+    async remove(key) {
+        const { error } = await supabaseAdmin.storage
+            .from(this.bucket)
+            .remove([key]);
+
+        if (error) {
+            throw new Error(`Supabase storage delete error: ${error.message}`);
+        }
+    }
+}
+
+module.exports = SupabaseStorageDriver;
@@ -0,0 +1,124 @@
+// services/tryOnEvents.js
+/**
+ * Try-On Progress Events
+ * Pipeline adımlarını (uploaded, validated, provider_selected, ...) job bazında yayınlar.
+ * GET /api/jobs/:id/events bu olayları Server-Sent Events olarak stream eder.
+ */
+
+const { EventEmitter } = require('events');
+
+// Job'ın event geçmişi son event'ten sonra bu süre kadar bellekte tutulur
+// (terminal aşamaya hiç ulaşmayan job'lar da böylece temizlenir)
+const HISTORY_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Pipeline aşamaları
+ */
+const STAGES = {
+    UPLOADED: 'uploaded',
+    VALIDATED: 'validated',
+    QUEUED: 'queued',
+    PROCESSING: 'processing',
+    NORMALIZED: 'normalized',
+    CACHE_HIT: 'cache_hit',
+    PROVIDER_SELECTED: 'provider_selected',
+    PROVIDER_CALLED: 'provider_called',
+    PROVIDER_RETRY: 'provider_retry',
+    PROVIDER_COMPLETED: 'provider_completed',
+    PREDICTION_CREATED: 'prediction_created',
+    FALLBACK_TRIGGERED: 'fallback_triggered',
+    VARIANT_COMPLETED: 'variant_completed',
+    OUTFIT_STEP_STARTED: 'outfit_step_started',
+    OUTFIT_STEP_COMPLETED: 'outfit_step_completed',
+    RESULT_DOWNLOADED: 'result_downloaded',
+    CREDITS_CHARGED: 'credits_charged',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+};
+
+const TERMINAL_STAGES = [STAGES.COMPLETED, STAGES.FAILED];
+
+class TryOnEvents {
+    constructor() {
+        this.emitter = new EventEmitter();
+        this.emitter.setMaxListeners(0);
+        this.history = new Map();
+        this.expiryTimers = new Map();
+    }
+
+    /**
+     * Job için yeni bir aşama yayınla
+     * @param {string} jobId - Generation id
+     * @param {string} stage - STAGES değerlerinden biri
+     * @param {object} data - Aşamaya özel detaylar
+     */
+    publish(jobId, stage, data = {}) {
+        if (!jobId) return;
+
+        const events = this.history.get(jobId) || [];
+        const event = {
+            id: events.length + 1,
+            jobId,
+            stage,
+            timestamp: new Date().toISOString(),
+            ...data
+        };
+
+        events.push(event);
+        this.history.set(jobId, events);
+        this.emitter.emit(jobId, event);
+        this.scheduleExpiry(jobId);
+    }
+
+    /**
+     * Geçmişin silinme zamanını son event'ten itibaren yeniden başlat
+     */
+    scheduleExpiry(jobId) {
+        clearTimeout(this.expiryTimers.get(jobId));
+
+        const timer = setTimeout(() => {
+            this.history.delete(jobId);
+            this.expiryTimers.delete(jobId);
+        }, HISTORY_TTL_MS);
+        timer.unref();
+
+        this.expiryTimers.set(jobId, timer);
+    }
+
+    /**
+     * Belirli bir job için publish fonksiyonu döner (pipeline içinde kullanılır)
+     */
+    reporter(jobId) {
+        return (stage, data) => this.publish(jobId, stage, data);
+    }
+
+    /**
+     * Job'ın şimdiye kadarki event'leri
+     */
+    getHistory(jobId) {
+        return this.history.get(jobId) || [];
+    }
+
+    /**
+     * Job event'lerini dinle
+     * @returns {Function} Aboneliği sonlandıran fonksiyon
+     */
+    subscribe(jobId, listener) {
+        this.emitter.on(jobId, listener);
+        return () => this.emitter.off(jobId, listener);
+    }
+}
+
+/**
+ * Aşama, job'ın bittiğini mi gösteriyor?
+ */
+const isTerminalStage = (stage) => TERMINAL_STAGES.includes(stage);
+
+// Singleton instance
+const tryOnEvents = new TryOnEvents();
+
+module.exports = {
+    tryOnEvents,
+    STAGES,
+    isTerminalStage
+};
@@ -0,0 +1,78 @@
+// services/tryOnQueue.js
+/**
+ * Try-On Job Queue
+ * /api/process-image job modunda kuyruğa alınan işleri arka planda çalıştırır.
+ * Durum generations tablosunda tutulur: queued → processing → completed / failed
+ */
+
+const { runTryOn, getJobFiles, cleanupFiles } = require('./tryOnService');
+
+const WORKER_CONCURRENCY = parseInt(process.env.TRYON_WORKER_CONCURRENCY || '2', 10);
+
+class TryOnQueue {
+    constructor(concurrency) {
+        this.concurrency = concurrency;
+        this.pending = [];
+        this.running = 0;
+    }
+
+    /**
+     * Job'ı kuyruğa ekle
+     * @param {object} job - runTryOn parametreleri (generationId zorunlu)
+     */
+    enqueue(job) {
+        this.pending.push(job);
+        console.log(`📬 Job queued: ${job.generationId} (${this.pending.length} waiting, ${this.running} running)`);
+        this.drain();
+    }
+
+    /**
+     * Boş worker slotu varsa bekleyen job'ları başlat
+     */
+    drain() {
+        while (this.running < this.concurrency && this.pending.length > 0) {
+            const job = this.pending.shift();
+            this.running++;
+
+            this.runJob(job).finally(() => {
+                this.running--;
+                this.drain();
+            });
+        }
+    }
+
+    /**
+     * Tek bir job'ı çalıştır (hata generation kaydına runTryOn tarafından yazılır)
+     */
+    async runJob(job) {
+        console.log(`⚙️ Job started: ${job.generationId}`);
+
+        try {
+            const result = await runTryOn(job);
+            // Webhook modunda worker prediction oluşturulunca serbest kalır
+            console.log(result.pending
+                ? `📨 Job submitted: ${job.generationId} (${result.usedApi}, prediction ${result.predictionId})`
+                : `✅ Job completed: ${job.generationId} (${result.usedApi})`);
+        } catch (error) {
+            console.error(`❌ Job failed: ${job.generationId}`, error.message);
+        } finally {
+            await cleanupFiles(...getJobFiles(job));
+        }
+    }
+
+    /**
+     * Kuyruk durumu
+     */
+    getStats() {
+        return {
+            waiting: this.pending.length,
+            running: this.running,
+            concurrency: this.concurrency
+        };
+    }
+}
+
+// Singleton instance
+const tryOnQueue = new TryOnQueue(WORKER_CONCURRENCY);
+
+module.exports = tryOnQueue;
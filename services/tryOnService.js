@@ -0,0 +1,1035 @@
+// services/tryOnService.js
+/**
+ * Try-On Pipeline
+ * Senkron istek ve arka plan job'ları için ortak işlem akışı:
+ * (rezerve edilmiş credit) → AI işleme → sonucu kaydet → credit commit / iade → generation'ı tamamla
+ */
+
+const fs = require('fs').promises;
+const { v4: uuidv4 } = require('uuid');
+const apiManager = require('./apiManager');
+const { validateProviderOutput } = require('./outputValidator');
+const { normalizeUpload } = require('./imageNormalizer');
+const { getStorage, resolveResultUrl } = require('./storage');
+const { tryOnEvents, STAGES } = require('./tryOnEvents');
+const { resolveRoutingPolicy } = require('./routingPolicy');
+const { resolveExperiment } = require('./experiments');
+const { DEFAULT_STYLE } = require('./promptTemplates');
+const { isWebhookModeEnabled } = require('./replicatePredictions');
+const { getCircuitBreaker } = require('./circuitBreaker');
+const { getProvider, getProviderSettings } = require('./providers');
+const { validateParams } = require('./providerParams');
+const { replicateWebhookConfig, jobRecoveryConfig } = require('./apiConfig');
+const {
+    isResultCacheEnabled,
+    shouldChargeCacheHit,
+    hashInputs,
+    buildCacheKey,
+    getCachedResult,
+    saveCachedResult
+} = require('./resultCache');
+const {
+    createPendingGeneration,
+    completeGeneration,
+    addGenerationSteps,
+    addGenerationAttempts,
+    updateGenerationStatus,
+    getGenerationByPredictionId,
+    getStaleGenerations,
+    addGenerationCandidates
+} = require('./auth/generationService');
+const {
+    reserveCredits,
+    commitReservation,
+    releaseReservation,
+    getGenerationReservation
+} = require('./auth/creditService');
+
+// ============================================
+// YARDIMCI FONKSİYONLAR
+// ============================================
+
+/**
+ * Upload edilen geçici dosyaları sil
+ */
+const cleanupFiles = async (...files) => {
+    for (const file of files) {
+        if (!file?.path) continue;
+        try {
+            await fs.unlink(file.path);
+        } catch (error) {
+            console.error('File cleanup error:', error.message);
+        }
+    }
+};
+
+/**
+ * Elemanları en fazla `concurrency` kadar paralel işle, sonuçları sırayla döndür
+ */
+const mapWithConcurrency = async (items, concurrency, worker) => {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const runNext = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await worker(items[index], index);
+        }
+    };
+
+    const workers = Array.from({ length: Math.min(concurrency, items.length) }, runNext);
+    await Promise.all(workers);
+
+    return results;
+};
+
+/**
+ * Upload dosyasını bir kez normalize et
+ * Batch'te aynı kişi fotoğrafı birden fazla item tarafından paylaşıldığı için
+ * promise dosya nesnesinde saklanır
+ */
+const normalizeFile = (file) => {
+    if (!file.normalization) {
+        file.normalization = normalizeUpload(file.path);
+    }
+    return file.normalization;
+};
+
+/**
+ * Job'a ait tüm upload dosyaları (kişi + kıyafet(ler))
+ */
+const getJobFiles = (job) => [
+    job.userImageFile,
+    job.clothingImageFile,
+    ...(job.outfit || []).map(garment => garment.file)
+];
+
+// ============================================
+// ANA PIPELINE
+// ============================================
+
+/**
+ * Provider deneme kayıtlarını generation'a yaz (başarılı ve başarısız işlemler için)
+ */
+const saveAttempts = async (generationId, attempts) => {
+    if (attempts.length === 0) return;
+
+    const attemptsResult = await addGenerationAttempts(generationId, attempts);
+    if (!attemptsResult.success) {
+        console.error('Generation attempts save error:', attemptsResult.error);
+    }
+};
+
+/**
+ * Generation'a yazılan prompt bilgisi: yayındaki template id'si ve versiyonu (apiConfig varsayılanı için 0),
+ * experiment variant'ının prompt override'ında veya prompt kullanmayan provider'da null
+ * Stil, prompt çözülürken kullanılan stildir (experiment variant'ı isteğinkinden farklı olabilir)
+ */
+const toPromptFields = (prompt, style) => ({
+    prompt_template_id: prompt?.templateId ?? null,
+    prompt_version: prompt?.version ?? null,
+    prompt_style: prompt?.style || style
+});
+
+/**
+ * Doğrulanmış provider sonucunu storage'a kaydet
+ * @param {object} output - outputValidator sonucu ({ buffer, contentType, extension })
+ * @returns {Promise<string>} Storage key
+ */
+const storeResult = async (category, output) => {
+    const resultKey = `ai-result-${category}-${Date.now()}-${uuidv4()}.${output.extension}`;
+
+    const storage = getStorage();
+    try {
+        await storage.save(resultKey, output.buffer, output.contentType);
+    } catch (storageError) {
+        throw new Error(`Result could not be saved: ${storageError.message}`, { cause: storageError });
+    }
+
+    console.log(`💾 Result saved (${storage.name}): ${resultKey}`);
+    return resultKey;
+};
+
+/**
+ * Doğrulanmış provider sonucunu storage'a kaydet, rezervasyonu commit et ve generation'ı tamamla
+ * Senkron işlemde runTryOn, webhook modunda completePrediction tarafından çağrılır
+ * Storage hatası fırlatılır; çağıran rezervasyonu iade eder (kaydedilemeyen sonuç ücretlendirilmez)
+ * @param {object} params.output - outputValidator sonucu; resultKey verilmişse (variant'lar önceden kaydedilir) kullanılmaz
+ * @param {number} [params.creditsUsed] - Kullanılan credit (varsayılan: rezervasyonun tamamı)
+ * @returns {Promise<object>} { resultUrl, resultKey, fileName, usedFreeTrial, creditsRemaining }
+ */
+const finalizeResult = async ({
+    generationId,
+    userId,
+    reservation,
+    category,
+    baseUrl,
+    output,
+    resultKey: storedKey,
+    creditsUsed = reservation.amount,
+    selectedVariant,
+    usedApi,
+    processingTime,
+    routingPolicy,
+    promptFields,
+    params,
+    onProgress
+}) => {
+    // ==========================================
+    // SAVE RESULT TO STORAGE
+    // ==========================================
+    const resultKey = storedKey || await storeResult(category, output);
+    const resultUrl = resolveResultUrl(resultKey, baseUrl);
+    onProgress(STAGES.RESULT_DOWNLOADED, { resultUrl });
+
+    // ==========================================
+    // DATABASE: COMMIT RESERVATION + COMPLETE GENERATION
+    // ==========================================
+    const usedFreeTrial = reservation.type === 'free_trial';
+    let { creditsRemaining } = reservation;
+
+    const commitResult = await commitReservation(reservation, creditsUsed);
+    if (!commitResult.success) {
+        console.error('Credit commit error:', commitResult.error);
+    } else {
+        creditsRemaining = commitResult.creditsRemaining;
+        console.log(usedFreeTrial
+            ? '🎁 Free trial used'
+            : `💳 ${commitResult.creditsUsed} credit used (${creditsRemaining} remaining)`);
+        onProgress(STAGES.CREDITS_CHARGED, {
+            usedFreeTrial,
+            creditsRemaining
+        });
+    }
+
+    const generationResult = await completeGeneration(userId, generationId, {
+        api_used: usedApi,
+        result_image_url: resultKey,
+        credits_used: commitResult.success ? commitResult.creditsUsed : reservation.amount,
+        was_free_trial: usedFreeTrial,
+        processing_time_seconds: processingTime,
+        routing_policy: routingPolicy,
+        params,
+        selected_variant: selectedVariant,
+        ...promptFields
+    });
+
+    if (!generationResult.success) {
+        console.error('Database save error:', generationResult.error);
+    }
+
+    return { resultUrl, resultKey, fileName: resultKey, usedFreeTrial, creditsRemaining };
+};
+
+/**
+ * Variant seed'i: seed + variant, provider şemasındaki seed aralığına sarılır
+ * (max'a yakın bir seed ile sonraki variant'lar şemanın dışına çıkmasın)
+ */
+const variantSeed = (seed, variant, field = {}) => {
+    const min = field.min ?? 0;
+    const max = field.max ?? 2 ** 31 - 1;
+    return min + (seed - min + variant) % (max - min + 1);
+};
+
+/**
+ * Çoklu aday: provider'ı paralel çalıştır, başarılı adayları storage'a kaydet
+ * İstekte seed verilmişse variant i için seed + i kullanılır (seed aralığına sarılarak);
+ * verilmemişse her çağrı kendi rastgele seed'ini alır
+ * @param {function} processOnce - (params) => ApiManager sonucu
+ * @returns {Promise<array>} [{ variant, status, apiResult?, resultKey?, error? }] variant sırasıyla
+ */
+const runVariants = async ({ variants, category, params, paramsApi }, processOnce, onProgress) => {
+    const seedField = paramsApi ? getProviderSettings(paramsApi)?.paramSchema?.seed : undefined;
+
+    return Promise.all(Array.from({ length: variants }, async (_, variant) => {
+        try {
+            const variantParams = params?.seed !== undefined
+                ? { ...params, seed: variantSeed(params.seed, variant, seedField) }
+                : params;
+            const apiResult = await processOnce(variantParams);
+            const resultKey = await storeResult(category, apiResult.output);
+
+            onProgress(STAGES.VARIANT_COMPLETED, { variant, status: 'completed', usedApi: apiResult.usedApi });
+            return { variant, status: 'completed', apiResult, resultKey };
+        } catch (error) {
+            console.error(`❌ Variant ${variant} failed:`, error.message);
+            onProgress(STAGES.VARIANT_COMPLETED, { variant, status: 'failed', error: error.message });
+            return { variant, status: 'failed', error: error.message };
+        }
+    }));
+};
+
+/**
+ * Outfit ara adım sonuçlarını storage'a kaydet (provider URL'leri kısa süre sonra geçersizleşir)
+ * Son adımın sonucu generation'ın ana sonucudur (resultKey); kaydedilemeyen ara adım null kalır
+ * @returns {Promise<array>} Adımlar ({ ...step, resultKey, imageUrl }, output buffer'ı olmadan)
+ */
+const storeOutfitSteps = async (steps, resultKey, baseUrl) => {
+    return Promise.all(steps.map(async ({ output, ...step }, index) => {
+        let stepKey = resultKey;
+
+        if (index < steps.length - 1) {
+            stepKey = await storeResult(`outfit-step-${step.category}`, output).catch(error => {
+                console.error(`Outfit step ${step.step} result could not be saved:`, error.message);
+                return null;
+            });
+        }
+
+        return {
+            ...step,
+            resultKey: stepKey,
+            imageUrl: stepKey ? resolveResultUrl(stepKey, baseUrl) : null
+        };
+    }));
+};
+
+/**
+ * Aday listesinin response formatı
+ */
+const toCandidates = (candidates, selectedVariant, baseUrl) => candidates.map(candidate => ({
+    variant: candidate.variant,
+    status: candidate.status,
+    imageUrl: candidate.resultKey ? resolveResultUrl(candidate.resultKey, baseUrl) : null,
+    usedApi: candidate.apiResult?.usedApi || null,
+    params: candidate.apiResult?.params || null,
+    selected: candidate.variant === selectedVariant,
+    error: candidate.error || null
+}));
+
+// ============================================
+// RESULT CACHE
+// ============================================
+
+/**
+ * İstek için cache kaydını bul
+ * Anahtar, işlemden önce planlanan provider ve prompt versiyonuyla hesaplanır
+ * @param {object} inputHashes - Normalize edilmiş görsellerin hash'leri
+ * @returns {Promise<object|null>} { entry, prompt } veya null
+ */
+const findCachedResult = async (inputHashes, { category, requestedApi, routing, style, params, paramsApi, garmentMetadata }) => {
+    let plan;
+    try {
+        plan = await apiManager.planRequest(category, {
+            requestedApi,
+            preferredApi: paramsApi,
+            routingPolicy: routing.policy,
+            style
+        });
+    } catch (error) {
+        // Seçilebilir provider yoksa cache'e bakılmaz; hata işleme adımında raporlanır
+        return null;
+    }
+
+    const cacheKey = buildCacheKey(inputHashes, {
+        category,
+        provider: plan.api,
+        prompt: plan.prompt,
+        params: plan.api === paramsApi ? params : null,
+        garment: garmentMetadata
+    });
+    const entry = await getCachedResult(cacheKey);
+
+    return entry ? { entry, prompt: plan.prompt } : null;
+};
+
+/**
+ * Cache'teki sonuçla generation'ı tamamla (provider çağrılmaz)
+ * hitPolicy 'charge' ise rezervasyon commit edilir, 'free' ise iade edilir
+ * @returns {Promise<object>} runTryOn sonucu (cached: true)
+ */
+const completeFromCache = async (job, { entry, prompt }, { startTime, onProgress }) => {
+    const { generationId, userId, reservation, category, routing, style, baseUrl } = job;
+    const charge = shouldChargeCacheHit();
+    const processingTime = Math.floor((Date.now() - startTime) / 1000);
+
+    console.log(`♻️ Result cache hit (${entry.api_used}, generation ${entry.generation_id})`);
+    onProgress(STAGES.CACHE_HIT, { usedApi: entry.api_used, charged: charge });
+
+    let { creditsRemaining, freeTrialsRemaining } = reservation;
+    const settleResult = charge
+        ? await commitReservation(reservation)
+        : await releaseReservation(reservation, 'cache_hit');
+
+    if (!settleResult.success) {
+        console.error('Cache hit credit settle error:', settleResult.error);
+    } else if (charge) {
+        onProgress(STAGES.CREDITS_CHARGED, {
+            usedFreeTrial: reservation.type === 'free_trial',
+            creditsRemaining
+        });
+    } else if (!settleResult.skipped) {
+        ({ creditsRemaining, freeTrialsRemaining } = settleResult);
+    }
+
+    const usedFreeTrial = charge && reservation.type === 'free_trial';
+    const resultUrl = resolveResultUrl(entry.result_image_url, baseUrl);
+
+    const generationResult = await completeGeneration(userId, generationId, {
+        api_used: entry.api_used,
+        result_image_url: entry.result_image_url,
+        credits_used: charge ? reservation.amount : 0,
+        was_free_trial: usedFreeTrial,
+        processing_time_seconds: processingTime,
+        routing_policy: routing.policy,
+        params: entry.params,
+        cache_hit: true,
+        ...toPromptFields(prompt, style)
+    });
+
+    if (!generationResult.success) {
+        console.error('Database save error:', generationResult.error);
+    }
+
+    onProgress(STAGES.COMPLETED, {
+        usedApi: entry.api_used,
+        fallback: false,
+        cached: true,
+        resultUrl,
+        processingTime
+    });
+
+    return {
+        generationId,
+        resultUrl,
+        originalUrl: resultUrl,
+        fileName: entry.result_image_url,
+        usedApi: entry.api_used,
+        fallback: false,
+        cached: true,
+        routingPolicy: routing.policy,
+        experiment: null,
+        promptVersion: prompt?.version ?? null,
+        style,
+        params: entry.params,
+        processingTime,
+        usedFreeTrial,
+        creditsRemaining,
+        freeTrialsRemaining
+    };
+};
+
+/**
+ * İstekteki params'ı provider'ın şemasına göre doğrula
+ * Manuel seçimde o provider, otomatik seçimde routing policy'nin planladığı provider esas alınır;
+ * parametreler sadece bu provider'a gönderilir (fallback provider'lar varsayılanlarla çalışır)
+ * @returns {Promise<object>} { success, api } veya { success: false, error, code }
+ */
+const checkRequestParams = async (params, { category, requestedApi, routing }) => {
+    let api = requestedApi;
+    if (!api) {
+        try {
+            ({ api } = await apiManager.planRequest(category, { routingPolicy: routing.policy }));
+        } catch (error) {
+            return { success: false, error: error.message, code: 'NO_PROVIDER_AVAILABLE' };
+        }
+    }
+
+    const settings = getProviderSettings(api);
+    if (!settings) {
+        return { success: false, error: `Unknown provider: ${api}`, code: 'INVALID_PARAMS' };
+    }
+
+    const validation = validateParams(settings.paramSchema, params, category);
+    if (!validation.success) {
+        return { ...validation, error: `Invalid params for ${api}: ${validation.error}` };
+    }
+
+    return { success: true, api };
+};
+
+/**
+ * Generation kaydını oluştur ve free trial / credit rezerve et
+ * Free trial / credit AI çağrısından önce atomik olarak rezerve edilir,
+ * başarıda commit, herhangi bir hatada iade edilir
+ * @param {object} jobParams - userId, userImageFile, clothingImageFile, category, requestedApi, baseUrl, status
+ *                          Outfit modunda clothingImageFile yerine outfit: [{ file, category }] ve category: 'outfit'
+ *                          creditAmount: rezerve edilecek credit (varsayılan 1)
+ *                          segment: users.segment (routing policy override'ı için)
+ *                          style: prompt stili (promptConfig.styleModifiers, varsayılan 'default')
+ *                          params: model parametreleri; seçilen (manuel veya planlanan) provider'ın
+ *                          paramSchema'sına göre kayıt oluşturulmadan önce doğrulanır
+ *                          variants: aday sayısı (1..variantConfig.maxVariants); creditAmount çağıran tarafından
+ *                          variant sayısına göre hesaplanır
+ *                          garmentMetadata: doğrulanmış kıyafet metadata'sı (garmentMetadata); generation'a yazılır
+ *                          Kuyruktaki (status: 'queued') tekli job'lar webhook modu açıksa sonucu beklemez
+ * @returns {Promise<object>} { success, job } veya { success: false, error, code }
+ */
+const prepareTryOnJob = async (jobParams) => {
+    const {
+        userId,
+        userImageFile,
+        clothingImageFile,
+        category,
+        outfit,
+        requestedApi,
+        baseUrl,
+        status = 'processing',
+        creditAmount = 1,
+        segment,
+        style = DEFAULT_STYLE,
+        params,
+        variants = 1,
+        garmentMetadata = null
+    } = jobParams;
+
+    // Manuel API seçiminde policy uygulanmaz
+    const routing = requestedApi
+        ? { policy: 'manual', segment: segment || null, source: 'request' }
+        : resolveRoutingPolicy(segment);
+
+    let paramsApi = null;
+    if (params) {
+        const paramsCheck = await checkRequestParams(params, { category, requestedApi, routing });
+        if (!paramsCheck.success) return paramsCheck;
+        paramsApi = paramsCheck.api;
+    }
+
+    const garmentImageUrl = outfit
+        ? outfit.map(garment => garment.file.filename).join(',')
+        : clothingImageFile.filename;
+
+    const pendingResult = await createPendingGeneration(userId, {
+        category: category,
+        api_used: requestedApi,
+        person_image_url: userImageFile.filename,
+        garment_image_url: garmentImageUrl,
+        garment_metadata: garmentMetadata,
+        variants,
+        status
+    });
+
+    if (!pendingResult.success) {
+        return {
+            success: false,
+            error: `Generation record could not be created: ${pendingResult.error}`,
+            code: 'GENERATION_CREATE_FAILED'
+        };
+    }
+
+    const generationId = pendingResult.generation.id;
+    const reservationResult = await reserveCredits(userId, generationId, creditAmount);
+
+    if (!reservationResult.success) {
+        await updateGenerationStatus(generationId, 'failed', {
+            error_message: reservationResult.error
+        });
+
+        return {
+            success: false,
+            error: reservationResult.error,
+            code: reservationResult.code || 'RESERVATION_FAILED'
+        };
+    }
+
+    tryOnEvents.publish(generationId, STAGES.UPLOADED, {
+        userImageSize: userImageFile.size,
+        clothingImageSize: outfit
+            ? outfit.reduce((total, garment) => total + garment.file.size, 0)
+            : clothingImageFile.size
+    });
+    tryOnEvents.publish(generationId, STAGES.VALIDATED, { category });
+
+    // Manuel API seçiminde, outfit modunda, parametre verilmişse ve çoklu adayda experiment uygulanmaz
+    const experiment = requestedApi || outfit || params || variants > 1
+        ? null
+        : resolveExperiment(userId, category, style);
+
+    // Webhook modu: provider prediction'ı oluşturur, generation webhook'ta tamamlanır
+    // (outfit adımları bir önceki sonucu beklediği, adaylar birlikte ücretlendirildiği için her zaman senkron çalışır)
+    const deferred = status === 'queued' && !outfit && variants === 1 && isWebhookModeEnabled();
+
+    return {
+        success: true,
+        job: {
+            generationId,
+            userId,
+            reservation: reservationResult.reservation,
+            userImageFile,
+            clothingImageFile,
+            outfit,
+            category,
+            requestedApi,
+            routing,
+            experiment,
+            style,
+            params: params || null,
+            paramsApi,
+            variants,
+            garmentMetadata,
+            deferred,
+            baseUrl
+        }
+    };
+};
+
+/**
+ * Pending generation kaydı için try-on işlemini çalıştır
+ * @param {object} job
+ * @param {string} job.generationId - createPendingGeneration ile oluşturulan kayıt
+ * @param {string} job.userId - Kullanıcı id
+ * @param {object} job.reservation - reserveCredits ile alınmış free trial / credit rezervasyonu
+ * @param {object} job.userImageFile - Multer dosyası (kişi)
+ * @param {object} job.clothingImageFile - Multer dosyası (kıyafet)
+ * @param {array} [job.outfit] - Outfit modu: [{ file, category }] sırayla uygulanır
+ * @param {string} job.category - upper_body, lower_body, dresses (outfit modunda 'outfit')
+ * @param {string} [job.requestedApi] - Frontend'den seçilen API
+ * @param {object} job.routing - { policy, segment, source } uygulanacak routing policy
+ * @param {object} [job.experiment] - resolveExperiment ile atanmış A/B variant'ı
+ * @param {string} job.style - Prompt stili
+ * @param {object} [job.params] - İstekteki model parametreleri (job.paramsApi için doğrulanmış)
+ * @param {string} [job.paramsApi] - Parametrelerin doğrulandığı provider
+ * @param {number} job.variants - Aday sayısı; 1'den fazlaysa provider paralel çalışır, ilk başarılı aday ana sonuç olur
+ * @param {object} [job.garmentMetadata] - Kıyafet metadata'sı; provider prompt builder'larına iletilir
+ * @param {boolean} [job.deferred] - Webhook modu: prediction oluşturulunca { pending: true } döner
+ * @param {string} job.baseUrl - Sonuç URL'i için host (protocol://host)
+ * @returns {Promise<object>} İşlem sonucu
+ */
+const runTryOn = async (job) => {
+    const {
+        generationId,
+        userId,
+        reservation,
+        userImageFile,
+        clothingImageFile,
+        outfit,
+        category,
+        requestedApi,
+        routing,
+        experiment,
+        style,
+        params,
+        paramsApi,
+        variants,
+        garmentMetadata,
+        deferred,
+        baseUrl
+    } = job;
+
+    const startTime = Date.now();
+    const onProgress = tryOnEvents.reporter(generationId);
+    // Provider çağrı denemeleri (retry / fallback) ApiManager tarafından doldurulur
+    const attempts = [];
+
+    // Experiment ataması işlem başlarken yazılır (başarısız generation'lar da sonuçlara dahil olur)
+    await updateGenerationStatus(generationId, 'processing', experiment ? {
+        experiment_id: experiment.experimentId,
+        experiment_variant: experiment.variantId
+    } : {});
+    onProgress(STAGES.PROCESSING);
+
+    try {
+        // ==========================================
+        // 1. NORMALIZE UPLOADS (EXIF orientation, metadata strip)
+        // ==========================================
+        const garmentFiles = outfit ? outfit.map(garment => garment.file) : [clothingImageFile];
+        const uploads = {
+            userImage: await normalizeFile(userImageFile),
+            clothingImages: []
+        };
+        for (const file of garmentFiles) {
+            uploads.clothingImages.push(await normalizeFile(file));
+        }
+        onProgress(STAGES.NORMALIZED, uploads);
+
+        // ==========================================
+        // 2. RESULT CACHE (aynı görseller + kategori + provider + prompt versiyonu)
+        // ==========================================
+        // Outfit adımları, experiment variant'ları ve çoklu adaylar her zaman provider'a gider
+        const inputHashes = !outfit && !experiment && variants === 1 && isResultCacheEnabled()
+            ? await hashInputs(userImageFile.path, clothingImageFile.path)
+            : null;
+
+        if (inputHashes) {
+            const cached = await findCachedResult(inputHashes, job);
+            if (cached) {
+                return await completeFromCache(job, cached, { startTime, onProgress });
+            }
+        }
+
+        // ==========================================
+        // 3. AI PROCESSING
+        // ==========================================
+        const processOnce = (callParams) => (requestedApi
+            ? apiManager.processWithSpecificApi(
+                requestedApi,
+                userImageFile.path,
+                clothingImageFile.path,
+                category,
+                { onProgress, attempts, deferred, style, params: callParams, garmentMetadata }
+            )
+            : apiManager.autoProcess(
+                userImageFile.path,
+                clothingImageFile.path,
+                category,
+                {
+                    onProgress,
+                    attempts,
+                    routingPolicy: routing.policy,
+                    experiment,
+                    deferred,
+                    style,
+                    params: callParams,
+                    preferredApi: paramsApi,
+                    garmentMetadata
+                }
+            ));
+
+        let apiResult;
+        let candidates = null;
+        let primary = null;
+
+        if (outfit) {
+            apiResult = await apiManager.processOutfit(
+                userImageFile.path,
+                outfit.map(garment => ({ path: garment.file.path, category: garment.category })),
+                { onProgress, attempts, requestedApi, routingPolicy: routing.policy, style }
+            );
+        } else if (variants > 1) {
+            candidates = await runVariants(job, processOnce, onProgress);
+            primary = candidates.find(candidate => candidate.status === 'completed');
+
+            if (!primary) {
+                throw new Error(`All ${variants} variants failed: ${candidates[0].error}`);
+            }
+            apiResult = primary.apiResult;
+        } else {
+            apiResult = await processOnce(params);
+        }
+
+        // Sonuç gerçekte kullanılan provider ve prompt ile cache'lenir (fallback dahil)
+        const cacheKey = inputHashes && buildCacheKey(inputHashes, {
+            category,
+            provider: apiResult.usedApi,
+            prompt: apiResult.prompt,
+            params: apiResult.usedApi === paramsApi ? params : null,
+            garment: garmentMetadata
+        });
+
+        // Webhook modu: prediction id generation'a yazılır, kalan adımlar completePrediction'da
+        if (apiResult.prediction) {
+            const { predictionId } = apiResult.prediction;
+            const pendingResult = await updateGenerationStatus(generationId, 'processing', {
+                api_used: apiResult.usedApi,
+                prediction_id: predictionId,
+                routing_policy: routing.policy,
+                cache_key: cacheKey || null,
+                input_digests: apiResult.prediction.inputDigests,
+                params: apiResult.params,
+                ...toPromptFields(apiResult.prompt, style)
+            });
+
+            if (!pendingResult.success) {
+                throw new Error(`Prediction ${predictionId} could not be saved: ${pendingResult.error}`);
+            }
+
+            await saveAttempts(generationId, attempts);
+            console.log(`⏳ Waiting for ${apiResult.usedApi} webhook (prediction ${predictionId})`);
+
+            return {
+                generationId,
+                pending: true,
+                predictionId,
+                usedApi: apiResult.usedApi,
+                fallback: apiResult.fallback || false,
+                routingPolicy: routing.policy,
+                experiment: experiment ? { id: experiment.experimentId, variant: experiment.variantId } : null,
+                normalizedInputs: apiResult.inputs
+            };
+        }
+
+        const originalUrl = apiResult.result;
+        const processingTime = Math.floor((Date.now() - startTime) / 1000);
+
+        console.log(`🎉 Processing completed with ${apiResult.usedApi}!`);
+        console.log(`⏱️ Processing time: ${processingTime}s`);
+
+        // ==========================================
+        // 4. SAVE RESULT + COMMIT RESERVATION + COMPLETE GENERATION
+        // ==========================================
+        // Çoklu adayda sadece kaydedilen adaylar ücretlendirilir (rezervasyon variant başına eşit bölünür)
+        const completedCount = candidates?.filter(candidate => candidate.status === 'completed').length;
+        const { resultUrl, resultKey, fileName, usedFreeTrial, creditsRemaining } = await finalizeResult({
+            generationId,
+            userId,
+            reservation,
+            category,
+            baseUrl,
+            output: apiResult.output,
+            resultKey: primary?.resultKey,
+            creditsUsed: candidates ? Math.round(reservation.amount * completedCount / variants) : undefined,
+            selectedVariant: primary?.variant,
+            usedApi: apiResult.usedApi,
+            processingTime,
+            routingPolicy: routing.policy,
+            promptFields: toPromptFields(apiResult.prompt, style),
+            params: apiResult.params,
+            onProgress
+        });
+
+        await saveAttempts(generationId, attempts);
+
+        if (candidates) {
+            const candidatesResult = await addGenerationCandidates(generationId, candidates.map(candidate => ({
+                variant: candidate.variant,
+                status: candidate.status,
+                usedApi: candidate.apiResult?.usedApi,
+                resultKey: candidate.resultKey,
+                params: candidate.apiResult?.params,
+                selected: candidate === primary,
+                error: candidate.error
+            })));
+
+            if (!candidatesResult.success) {
+                console.error('Generation candidates save error:', candidatesResult.error);
+            }
+        }
+
+        if (cacheKey) {
+            await saveCachedResult(cacheKey, {
+                generationId,
+                resultKey,
+                usedApi: apiResult.usedApi,
+                category,
+                params: apiResult.params
+            });
+        }
+
+        let steps;
+        if (apiResult.steps) {
+            steps = await storeOutfitSteps(apiResult.steps, resultKey, baseUrl);
+
+            const stepsResult = await addGenerationSteps(generationId, steps.map((step, index) => ({
+                ...step,
+                garmentImageUrl: outfit[index].file.filename
+            })));
+
+            if (!stepsResult.success) {
+                console.error('Generation steps save error:', stepsResult.error);
+            }
+        }
+
+        onProgress(STAGES.COMPLETED, {
+            usedApi: apiResult.usedApi,
+            fallback: apiResult.fallback || false,
+            resultUrl,
+            processingTime
+        });
+
+        return {
+            generationId,
+            resultUrl,
+            originalUrl,
+            fileName,
+            usedApi: apiResult.usedApi,
+            fallback: apiResult.fallback || false,
+            cached: false,
+            routingPolicy: routing.policy,
+            experiment: experiment ? { id: experiment.experimentId, variant: experiment.variantId } : null,
+            promptVersion: apiResult.prompt?.version ?? null,
+            style,
+            params: apiResult.params,
+            steps,
+            candidates: candidates ? toCandidates(candidates, primary.variant, baseUrl) : undefined,
+            selectedVariant: primary ? primary.variant : undefined,
+            normalizedInputs: apiResult.inputs,
+            processingTime,
+            usedFreeTrial,
+            creditsRemaining,
+            freeTrialsRemaining: reservation.freeTrialsRemaining
+        };
+
+    } catch (error) {
+        await saveAttempts(generationId, attempts);
+        await releaseReservation(reservation, error.message);
+        await updateGenerationStatus(generationId, 'failed', {
+            error_message: error.message,
+            processing_time_seconds: Math.floor((Date.now() - startTime) / 1000),
+            routing_policy: routing.policy
+        });
+        onProgress(STAGES.FAILED, { error: error.message });
+        throw error;
+    }
+};
+
+// ============================================
+// WEBHOOK MODU
+// ============================================
+
+/**
+ * Replicate webhook'u ile prediction'ı bekleyen generation'ı tamamla
+ * Başarılı prediction'ın sonucu kaydedilip rezervasyon commit edilir; failed / canceled ise iade edilir.
+ * Rezervasyon ve routing bilgisi generation kaydından okunduğu için süreç yeniden başlasa da çalışır.
+ * Aynı webhook birden fazla gelebilir: processing durumunda olmayan generation'lar atlanır.
+ * @param {object} prediction - Webhook gövdesi (Replicate prediction nesnesi)
+ * @returns {Promise<object>} { success, status, skipped? } veya { success: false, error, code }
+ */
+const completePrediction = async (prediction) => {
+    const lookup = await getGenerationByPredictionId(prediction.id);
+    if (!lookup.success) {
+        return { success: false, error: lookup.error, code: 'GENERATION_LOOKUP_FAILED' };
+    }
+
+    const generation = lookup.generation;
+    if (!generation) {
+        return { success: false, error: `No generation for prediction ${prediction.id}`, code: 'GENERATION_NOT_FOUND' };
+    }
+
+    if (generation.status !== 'processing') {
+        console.log(`↪️ Prediction ${prediction.id} already handled (${generation.status})`);
+        return { success: true, status: generation.status, skipped: true };
+    }
+
+    const reservationResult = await getGenerationReservation(generation);
+    if (!reservationResult.success) {
+        return { success: false, error: reservationResult.error, code: 'RESERVATION_LOOKUP_FAILED' };
+    }
+
+    const { reservation } = reservationResult;
+    const generationId = generation.id;
+    const usedApi = generation.api_used;
+    const onProgress = tryOnEvents.reporter(generationId);
+    const processingTime = Math.floor((Date.now() - new Date(generation.created_at).getTime()) / 1000);
+
+    // Circuit breaker'a prediction'ın toplam süresi yazılır (oluşturma anında yazılmamıştı)
+    const breaker = getCircuitBreaker(usedApi);
+    const durationMs = prediction.completed_at && prediction.created_at
+        ? new Date(prediction.completed_at).getTime() - new Date(prediction.created_at).getTime()
+        : processingTime * 1000;
+
+    try {
+        if (prediction.status !== 'succeeded') {
+            const error = new Error(`Prediction ${prediction.status}: ${prediction.error || 'no output'}`);
+            // canceled provider hatası değildir; half-open deneme hakkı prediction oluşturulurken bırakılmıştı
+            if (prediction.status === 'failed') {
+                breaker.recordFailure(durationMs, error);
+            }
+            throw error;
+        }
+
+        const provider = getProvider(usedApi);
+        if (!provider?.extractOutput) {
+            throw new Error(`Provider ${usedApi} cannot handle prediction output`);
+        }
+
+        // Prediction tamamlandığı için burada retry yapılamaz; geçersiz çıktı iade edilir
+        let output;
+        try {
+            output = await validateProviderOutput(
+                await provider.extractOutput(prediction.output),
+                generation.input_digests || []
+            );
+        } catch (error) {
+            breaker.recordFailure(durationMs, error);
+            throw error;
+        }
+
+        breaker.recordSuccess(durationMs);
+        onProgress(STAGES.PROVIDER_COMPLETED, { api: usedApi, predictionId: prediction.id, durationMs });
+
+        const { resultUrl, resultKey } = await finalizeResult({
+            generationId,
+            userId: generation.user_id,
+            reservation,
+            category: generation.category,
+            baseUrl: replicateWebhookConfig.publicUrl,
+            output,
+            usedApi,
+            processingTime,
+            routingPolicy: generation.routing_policy,
+            onProgress
+        });
+
+        if (generation.cache_key) {
+            await saveCachedResult(generation.cache_key, {
+                generationId,
+                resultKey,
+                usedApi,
+                category: generation.category,
+                params: generation.params
+            });
+        }
+
+        console.log(`🎉 Prediction ${prediction.id} completed with ${usedApi}!`);
+        onProgress(STAGES.COMPLETED, {
+            usedApi,
+            fallback: false,
+            resultUrl,
+            processingTime
+        });
+
+        return { success: true, status: 'completed' };
+
+    } catch (error) {
+        console.error(`❌ Prediction ${prediction.id} failed:`, error.message);
+        await releaseReservation(reservation, error.message);
+        await updateGenerationStatus(generationId, 'failed', {
+            error_message: error.message,
+            processing_time_seconds: processingTime
+        });
+        onProgress(STAGES.FAILED, { error: error.message });
+
+        return { success: true, status: 'failed' };
+    }
+};
+
+// ============================================
+// KURTARMA
+// ============================================
+
+/**
+ * Yeniden başlatmada yarım kalan job'ları failed yap ve rezervasyonlarını iade et
+ * Kuyruk ve senkron istekler sadece bu process'te çalıştığı için queued / processing kalan kayıtlar
+ * bir daha ilerlemez. Başka instance'ların süren işlerine dokunmamak için sadece staleAfterMs'ten
+ * eski kayıtlar alınır; webhook bekleyen kayıtlar predictionStaleAfterMs'e kadar beklenir.
+ * @returns {Promise<object>} { success, recovered } veya { success: false, error }
+ */
+const recoverStaleJobs = async () => {
+    const now = Date.now();
+    const lookup = await getStaleGenerations(
+        ['queued', 'processing'],
+        new Date(now - jobRecoveryConfig.staleAfterMs)
+    );
+    if (!lookup.success) {
+        return { success: false, error: lookup.error };
+    }
+
+    const predictionCutoff = now - jobRecoveryConfig.predictionStaleAfterMs;
+    const stale = lookup.generations.filter(generation => !generation.prediction_id
+        || new Date(generation.created_at).getTime() < predictionCutoff);
+
+    let recovered = 0;
+    for (const generation of stale) {
+        const reservationResult = await getGenerationReservation(generation);
+        if (!reservationResult.success) {
+            console.error(`❌ Stale job ${generation.id} could not be recovered:`, reservationResult.error);
+            continue;
+        }
+
+        const release = await releaseReservation(reservationResult.reservation, 'job_abandoned');
+        if (!release.success) {
+            console.error(`❌ Stale job ${generation.id} could not be refunded:`, release.error);
+            continue;
+        }
+
+        const error = `Job abandoned while ${generation.status} (server restarted)`;
+        await updateGenerationStatus(generation.id, 'failed', { error_message: error });
+        tryOnEvents.publish(generation.id, STAGES.FAILED, { error });
+        recovered++;
+    }
+
+    return { success: true, recovered };
+};
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+    prepareTryOnJob,
+    runTryOn,
+    completePrediction,
+    recoverStaleJobs,
+    mapWithConcurrency,
+    getJobFiles,
+    cleanupFiles
+};
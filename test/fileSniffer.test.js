@@ -0,0 +1,55 @@
+// test/fileSniffer.test.js
+/**
+ * Magic-byte sniffing: JPEG polyglot tespiti (EOI sonrası veri)
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { verifyImageFile } = require('../services/fileSniffer');
+
+const PHP_PAYLOAD = Buffer.from('<?php system($_GET["c"]); ?>', 'latin1');
+const JPEG_EOI = Buffer.from([0xFF, 0xD9]);
+
+describe('file sniffer', () => {
+    let workDir;
+
+    const writeJpeg = async (name, options = {}, append = Buffer.alloc(0)) => {
+        const image = await sharp({ create: { width: 64, height: 64, channels: 3, background: '#3366aa' } })
+            .jpeg(options)
+            .toBuffer();
+        const filePath = path.join(workDir, name);
+        fs.writeFileSync(filePath, Buffer.concat([image, append]));
+        return filePath;
+    };
+
+    before(() => {
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-sniffer-'));
+    });
+
+    after(() => {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    it('accepts baseline and progressive JPEGs', async () => {
+        assert.equal((await verifyImageFile(await writeJpeg('baseline.jpg'))).valid, true);
+        assert.equal((await verifyImageFile(await writeJpeg('progressive.jpg', { progressive: true }))).valid, true);
+    });
+
+    it('rejects a payload appended after the image EOI', async () => {
+        const result = await verifyImageFile(await writeJpeg('trailer.jpg', {}, PHP_PAYLOAD));
+
+        assert.equal(result.valid, false);
+        assert.equal(result.code, 'POLYGLOT_FILE');
+    });
+
+    it('rejects an appended payload that ends with its own EOI marker', async () => {
+        const result = await verifyImageFile(await writeJpeg('fake-eoi.jpg', { progressive: true }, Buffer.concat([PHP_PAYLOAD, JPEG_EOI])));
+
+        assert.equal(result.valid, false);
+        assert.equal(result.code, 'POLYGLOT_FILE');
+    });
+});
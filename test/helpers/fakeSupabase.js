@@ -0,0 +1,96 @@
+// test/helpers/fakeSupabase.js
+/**
+ * Testler için in-memory Supabase query builder
+ * Servislerin kullandığı alt küme: select / insert / update / upsert / delete,
+ * eq / neq / gt / gte / lt / in / not(col, 'is', null), order, limit, single, maybeSingle
+ * Kullanım: supabaseAdmin.from = createFakeSupabase(tables).from
+ */
+
+const createFakeSupabase = (tables = {}) => {
+    let sequence = 0;
+
+    const from = (table) => {
+        tables[table] = tables[table] || [];
+
+        const state = { op: 'select', payload: null, filters: [], order: null, limit: null, onConflict: 'id' };
+
+        const matching = () => tables[table].filter(row => state.filters.every(filter => filter(row)));
+
+        const execute = () => {
+            switch (state.op) {
+                case 'insert': {
+                    const rows = (Array.isArray(state.payload) ? state.payload : [state.payload]).map(row => ({
+                        id: `${table}-${++sequence}`,
+                        created_at: new Date().toISOString(),
+                        ...row
+                    }));
+                    tables[table].push(...rows);
+                    return rows;
+                }
+                case 'update': {
+                    const rows = matching();
+                    rows.forEach(row => Object.assign(row, state.payload));
+                    return rows;
+                }
+                case 'upsert': {
+                    const existing = tables[table].find(row => row[state.onConflict] === state.payload[state.onConflict]);
+                    if (existing) return [Object.assign(existing, state.payload)];
+
+                    const row = { id: `${table}-${++sequence}`, ...state.payload };
+                    tables[table].push(row);
+                    return [row];
+                }
+                case 'delete': {
+                    const rows = matching();
+                    tables[table] = tables[table].filter(row => !rows.includes(row));
+                    return rows;
+                }
+                default: {
+                    let rows = matching();
+                    if (state.order) {
+                        const { column, ascending } = state.order;
+                        rows = [...rows].sort((a, b) => (a[column] > b[column] ? 1 : -1) * (ascending ? 1 : -1));
+                    }
+                    return state.limit ? rows.slice(0, state.limit) : rows;
+                }
+            }
+        };
+
+        const builder = {
+            select: () => builder,
+            insert: (payload) => Object.assign(state, { op: 'insert', payload }) && builder,
+            update: (payload) => Object.assign(state, { op: 'update', payload }) && builder,
+            upsert: (payload, options = {}) => Object.assign(state, {
+                op: 'upsert',
+                payload,
+                onConflict: options.onConflict || 'id'
+            }) && builder,
+            delete: () => Object.assign(state, { op: 'delete' }) && builder,
+            eq: (column, value) => state.filters.push(row => row[column] === value) && builder,
+            neq: (column, value) => state.filters.push(row => row[column] !== value) && builder,
+            gt: (column, value) => state.filters.push(row => row[column] > value) && builder,
+            gte: (column, value) => state.filters.push(row => row[column] >= value) && builder,
+            lt: (column, value) => state.filters.push(row => row[column] < value) && builder,
+            in: (column, values) => state.filters.push(row => values.includes(row[column])) && builder,
+            not: (column, operator, value) => state.filters.push(row => (operator === 'is'
+                ? row[column] !== value && row[column] !== undefined
+                : row[column] !== value)) && builder,
+            order: (column, { ascending = true } = {}) => Object.assign(state, { order: { column, ascending } }) && builder,
+            limit: (count) => Object.assign(state, { limit: count }) && builder,
+            single: async () => {
+                const rows = execute();
+                return rows.length === 1
+                    ? { data: rows[0], error: null }
+                    : { data: null, error: { code: 'PGRST116', message: `Expected 1 row, got ${rows.length}` } };
+            },
+            maybeSingle: async () => ({ data: execute()[0] || null, error: null }),
+            then: (resolve, reject) => Promise.resolve({ data: execute(), error: null }).then(resolve, reject)
+        };
+
+        return builder;
+    };
+
+    return { tables, from };
+};
+
+module.exports = { createFakeSupabase };
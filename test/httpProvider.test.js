@@ -0,0 +1,161 @@
+// test/httpProvider.test.js
+/**
+ * Config-driven HTTP provider: sync ve poll modları stub sunucuya karşı
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { createHttpProvider, getByPath, renderTemplate } = require('../services/providers/httpProviderService');
+
+// detectImageType için yeterli JPEG imzası
+const JPEG_BYTES = Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x10]);
+
+describe('http provider', () => {
+    let server;
+    let baseUrl;
+    let workDir;
+    let personPath;
+    let garmentPath;
+    const requests = [];
+    const pollStates = new Map();
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                requests.push({ method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+                res.setHeader('Content-Type', 'application/json');
+
+                if (req.url === '/sync') {
+                    return res.end(JSON.stringify({ images: [{ url: 'https://cdn.example/sync.jpg' }] }));
+                }
+                if (req.url === '/jobs') {
+                    const id = `job-${requests.length}`;
+                    pollStates.set(id, JSON.parse(body).fail ? ['processing', 'failed'] : ['queued', 'processing', 'succeeded']);
+                    return res.end(JSON.stringify({ job: { id } }));
+                }
+
+                const statusMatch = req.url.match(/^\/jobs\/(.+)$/);
+                if (statusMatch && pollStates.has(statusMatch[1])) {
+                    const states = pollStates.get(statusMatch[1]);
+                    const state = states.length > 1 ? states.shift() : states[0];
+                    return res.end(JSON.stringify({
+                        state,
+                        result: state === 'succeeded' ? ['https://cdn.example/poll.jpg'] : null,
+                        message: state === 'failed' ? 'out of memory' : null
+                    }));
+                }
+
+                res.statusCode = req.url === '/overloaded' ? 503 : 404;
+                res.end(JSON.stringify({ error: 'nope' }));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'http-provider-'));
+        personPath = path.join(workDir, 'person.jpg');
+        garmentPath = path.join(workDir, 'garment.jpg');
+        fs.writeFileSync(personPath, JPEG_BYTES);
+        fs.writeFileSync(garmentPath, JPEG_BYTES);
+    });
+
+    after(async () => {
+        fs.rmSync(workDir, { recursive: true, force: true });
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    const createProvider = (overrides) => createHttpProvider({
+        name: 'stub-vton',
+        categories: ['upper_body'],
+        imageEncoding: 'base64',
+        params: { quality: 'high' },
+        request: {
+            url: `${baseUrl}/sync`,
+            headers: { Authorization: 'Bearer {{env.STUB_VTON_KEY}}' },
+            body: {
+                person: '{{person}}',
+                garment: '{{garment}}',
+                type: '{{category}}',
+                description: '{{garment_description}}',
+                options: '{{params}}'
+            }
+        },
+        output: '$.images[0].url',
+        ...overrides
+    });
+
+    it('sync mode renders the request template and reads the output path', async () => {
+        process.env.STUB_VTON_KEY = 'secret';
+        const provider = createProvider();
+
+        const resultUrl = await provider.processVirtualTryOn(personPath, garmentPath, 'upper_body', {
+            params: { steps: 20 },
+            garmentMetadata: { color: 'red', type: 'shirt' }
+        });
+
+        assert.equal(resultUrl, 'https://cdn.example/sync.jpg');
+
+        const request = requests.at(-1);
+        assert.equal(request.headers.authorization, 'Bearer secret');
+        assert.deepEqual(request.body, {
+            person: JPEG_BYTES.toString('base64'),
+            garment: JPEG_BYTES.toString('base64'),
+            type: 'upper_body',
+            description: 'red shirt',
+            options: { quality: 'high', steps: 20 }
+        });
+    });
+
+    it('poll mode queries the status endpoint until the job succeeds', async () => {
+        const provider = createProvider({
+            mode: 'poll',
+            request: { url: `${baseUrl}/jobs`, body: { person: '{{person}}' } },
+            poll: { url: `${baseUrl}/jobs/{{id}}`, idPath: '$.job.id', statusPath: '$.state', intervalMs: 5 },
+            output: '$.result[0]'
+        });
+
+        const resultUrl = await provider.processVirtualTryOn(personPath, garmentPath, 'upper_body');
+
+        assert.equal(resultUrl, 'https://cdn.example/poll.jpg');
+        assert.equal(requests.filter(request => request.method === 'GET').length >= 3, true);
+    });
+
+    it('poll mode surfaces provider failures with the error path', async () => {
+        const provider = createProvider({
+            mode: 'poll',
+            request: { url: `${baseUrl}/jobs`, body: { fail: true } },
+            poll: { url: `${baseUrl}/jobs/{{id}}`, idPath: '$.job.id', statusPath: '$.state', errorPath: '$.message', intervalMs: 5 },
+            output: '$.result[0]'
+        });
+
+        await assert.rejects(
+            provider.processVirtualTryOn(personPath, garmentPath, 'upper_body'),
+            /failed: out of memory/
+        );
+    });
+
+    it('keeps the HTTP status on non-2xx responses for the retry policy', async () => {
+        const provider = createProvider({ request: { url: `${baseUrl}/overloaded`, body: {} } });
+
+        const error = await provider.processVirtualTryOn(personPath, garmentPath, 'upper_body').catch(caught => caught);
+
+        assert.equal(error.cause.response.status, 503);
+    });
+
+    it('rejects configs without required fields', () => {
+        assert.throws(() => createHttpProvider({ name: 'broken', categories: ['upper_body'] }), /missing request, output/);
+        assert.throws(() => createProvider({ mode: 'stream' }), /mode must be/);
+    });
+
+    it('resolves JSONPath and whole-value placeholders', () => {
+        assert.equal(getByPath({ a: { b: [{ c: 1 }] } }, '$.a.b[0].c'), 1);
+        assert.equal(getByPath({ 'x-y': 2 }, "$['x-y']"), 2);
+        assert.deepEqual(renderTemplate({ p: '{{params}}', s: 'id={{id}}' }, { params: { a: 1 }, id: 7 }), { p: { a: 1 }, s: 'id=7' });
+    });
+});
@@ -0,0 +1,41 @@
+// test/imageNormalizer.test.js
+/**
+ * Upload normalizasyonu: PNG yeniden encode edilirken kayıpsız kalmalı
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { normalizeUpload } = require('../services/imageNormalizer');
+
+describe('image normalizer', () => {
+    let workDir;
+
+    before(() => {
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-normalizer-'));
+    });
+
+    after(() => {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    it('keeps PNG uploads truecolour and lossless', async () => {
+        // Rastgele pikseller: 256'dan çok renk, palette'e sığmaz
+        const raw = { width: 64, height: 64, channels: 3 };
+        const pixels = crypto.randomBytes(raw.width * raw.height * raw.channels);
+        const filePath = path.join(workDir, 'upload.png');
+        await sharp(pixels, { raw }).png().toFile(filePath);
+
+        const info = await normalizeUpload(filePath);
+
+        assert.equal(info.format, 'png');
+        const metadata = await sharp(filePath).metadata();
+        assert.equal(metadata.channels, 3);
+        assert.equal(metadata.paletteBitDepth, undefined);
+        assert.deepEqual(await sharp(filePath).raw().toBuffer(), pixels);
+    });
+});
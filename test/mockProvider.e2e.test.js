@@ -0,0 +1,165 @@
+// test/mockProvider.e2e.test.js
+/**
+ * Mock provider ile uçtan uca try-on: rezervasyon → provider → çıktı doğrulama → storage → commit
+ * Supabase in-memory double ile değiştirilir; mock çıktıları app.js'teki gibi /mock-results altında sunulur
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+
+const MOCK_RESULTS_DIR = path.join(__dirname, '..', 'public', 'mock-results');
+
+describe('mock provider end-to-end', () => {
+    let server;
+    let workDir;
+    let fake;
+    let sharp;
+    let tryOnService;
+    let storage;
+
+    const upload = async (name, color) => {
+        const filePath = path.join(workDir, name);
+        await sharp({ create: { width: 600, height: 800, channels: 3, background: color } })
+            .jpeg()
+            .toFile(filePath);
+        return { path: filePath, filename: name, size: fs.statSync(filePath).size };
+    };
+
+    const runJob = async (userId) => {
+        const prepared = await tryOnService.prepareTryOnJob({
+            userId,
+            userImageFile: await upload('person.jpg', '#3366aa'),
+            clothingImageFile: await upload('garment.jpg', '#cc3322'),
+            category: 'upper_body',
+            requestedApi: 'mock',
+            baseUrl: 'http://localhost'
+        });
+        assert.equal(prepared.success, true, prepared.error);
+
+        return { job: prepared.job, result: await tryOnService.runTryOn(prepared.job) };
+    };
+
+    before(async () => {
+        const app = express();
+        app.use('/mock-results', express.static(MOCK_RESULTS_DIR));
+        server = await new Promise(resolve => {
+            const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+        });
+
+        // apiConfig env'den okunduğu için servisler env ayarlandıktan sonra yüklenir
+        Object.assign(process.env, {
+            SUPABASE_URL: process.env.SUPABASE_URL || 'http://localhost:54321',
+            SUPABASE_ANON_KEY: process.env.SUPABASE_ANON_KEY || 'test',
+            SUPABASE_SERVICE_ROLE_KEY: process.env.SUPABASE_SERVICE_ROLE_KEY || 'test',
+            MOCK_PROVIDER_ENABLED: 'true',
+            MOCK_LATENCY_MS: '0',
+            MOCK_FAILURE_RATE: '0',
+            MOCK_PUBLIC_URL: `http://127.0.0.1:${server.address().port}`,
+            RESULT_URL_SECRET: 'test-secret'
+        });
+
+        fake = createFakeSupabase({
+            users: [{ id: 'user-1', credits: 5, free_trials_used: 3, free_trials_limit: 3 }]
+        });
+        require('../config/supabase').supabaseAdmin.from = fake.from;
+
+        sharp = require('sharp');
+        tryOnService = require('../services/tryOnService');
+        storage = require('../services/storage').getStorage();
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tryon-e2e-'));
+    });
+
+    after(async () => {
+        for (const generation of fake?.tables.generations || []) {
+            if (generation.result_image_url) {
+                await storage.remove(generation.result_image_url).catch(() => {});
+            }
+        }
+        if (workDir) fs.rmSync(workDir, { recursive: true, force: true });
+        if (server) await new Promise(resolve => server.close(resolve));
+    });
+
+    it('completes a generation, stores the result and charges one credit', async () => {
+        const { job, result } = await runJob('user-1');
+
+        assert.equal(result.usedApi, 'mock');
+        assert.equal(result.cached, false);
+
+        const generation = fake.tables.generations.find(row => row.id === job.generationId);
+        assert.equal(generation.status, 'completed');
+        assert.equal(generation.credit_status, 'committed');
+        assert.equal(generation.credits_used, 1);
+        assert.equal(fake.tables.users[0].credits, 4);
+
+        const stored = await storage.read(generation.result_image_url);
+        const metadata = await sharp(stored.buffer).metadata();
+        assert.equal(metadata.format, 'jpeg');
+        assert.equal(metadata.width, 768);
+    });
+
+    it('serves identical inputs from the result cache', async () => {
+        const { result } = await runJob('user-1');
+
+        assert.equal(result.cached, true);
+        assert.equal(result.usedApi, 'mock');
+    });
+
+    it('releases the reservation when the provider is unavailable', async () => {
+        const { getCircuitBreaker } = require('../services/circuitBreaker');
+        const breaker = getCircuitBreaker('mock');
+        breaker.open();
+
+        try {
+            const prepared = await tryOnService.prepareTryOnJob({
+                userId: 'user-1',
+                userImageFile: await upload('person-2.jpg', '#224466'),
+                clothingImageFile: await upload('garment-2.jpg', '#118844'),
+                category: 'upper_body',
+                requestedApi: 'mock',
+                baseUrl: 'http://localhost'
+            });
+            const creditsBefore = fake.tables.users[0].credits;
+
+            await assert.rejects(tryOnService.runTryOn(prepared.job));
+
+            const generation = fake.tables.generations.find(row => row.id === prepared.job.generationId);
+            assert.equal(generation.status, 'failed');
+            assert.equal(generation.credit_status, 'released');
+            assert.equal(fake.tables.users[0].credits, creditsBefore + 1);
+        } finally {
+            breaker.transition('closed');
+        }
+    });
+
+    it('fails and refunds jobs abandoned by a previous process on startup', async () => {
+        const prepare = (name, color) => upload(name, color).then(userImageFile => tryOnService.prepareTryOnJob({
+            userId: 'user-1',
+            userImageFile,
+            clothingImageFile: userImageFile,
+            category: 'upper_body',
+            requestedApi: 'mock',
+            baseUrl: 'http://localhost'
+        }));
+        const abandoned = await prepare('person-3.jpg', '#335577');
+        const awaitingWebhook = await prepare('person-4.jpg', '#775533');
+        const creditsBefore = fake.tables.users[0].credits;
+
+        const hourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+        const findGeneration = (prepared) => fake.tables.generations.find(row => row.id === prepared.job.generationId);
+        Object.assign(findGeneration(abandoned), { created_at: hourAgo });
+        Object.assign(findGeneration(awaitingWebhook), { created_at: hourAgo, prediction_id: 'prediction-1' });
+
+        const recovery = await tryOnService.recoverStaleJobs();
+
+        assert.deepEqual(recovery, { success: true, recovered: 1 });
+        assert.equal(findGeneration(abandoned).status, 'failed');
+        assert.equal(findGeneration(abandoned).credit_status, 'released');
+        assert.equal(findGeneration(awaitingWebhook).status, 'processing');
+        assert.equal(fake.tables.users[0].credits, creditsBefore + 1);
+    });
+});